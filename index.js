@@ -1,14 +1,43 @@
 // HTML to PDF Service using Express and Puppeteer
-// Provides two endpoints:
+// Provides three endpoints:
 // 1) /generate-pdf/isolated  -> launches a new single-use browser per request (isolation & consistency)
-// 2) /generate-pdf/optimized -> uses one persistent browser and a new page per request (performance)
+// 2) /generate-pdf/optimized -> uses a pool of persistent browsers and a new page per request (performance)
+// 3) /generate-pdf/context   -> a fresh browser context per request on a pooled browser (both)
 
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const {
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  StandardFonts,
+  degrees,
+  rgb,
+} = require("@cantoo/pdf-lib");
+const busboy = require("busboy");
 const express = require("express");
+const Handlebars = require("handlebars");
+const hljs = require("highlight.js");
+const JSZip = require("jszip");
+const { Marked } = require("marked");
+const { markedHighlight } = require("marked-highlight");
+const promClient = require("prom-client");
 const puppeteer = require("puppeteer");
 
 // Use Puppeteer's default cache directory and installation metadata.
 
 const PORT = process.env.PORT || 3000;
+// Origin clients reach the service on, for the links it hands out (jobs, stored output).
+// Never derived from the Host header, which the client controls.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
 const app = express();
 
 // Trust reverse proxies (Render, etc.) so req.ip and req.protocol honor X-Forwarded-* headers
@@ -40,6 +69,344 @@ const log = {
   error: (msg, extra) => logLine("error", msg, extra),
 };
 
+// --------------------------------------------------------------------------------------
+// Metrics (Prometheus text format on GET /metrics). Scrapers do not use API keys: the
+// endpoint is public, or guarded by its own bearer token when METRICS_TOKEN is set.
+// --------------------------------------------------------------------------------------
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  httpRequests: new promClient.Counter({
+    name: "http_requests_total",
+    help: "HTTP requests by route, render mode and status",
+    labelNames: ["route", "mode", "status"],
+    registers: [metricsRegistry],
+  }),
+  renderPhaseSeconds: new promClient.Histogram({
+    name: "render_phase_duration_seconds",
+    help: "Duration of render phases (browser_launch, set_content, goto, pdf, screenshot)",
+    labelNames: ["phase", "outcome"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+    registers: [metricsRegistry],
+  }),
+  outputBytes: new promClient.Histogram({
+    name: "render_output_bytes",
+    help: "Size of rendered outputs in bytes",
+    labelNames: ["kind"],
+    buckets: promClient.exponentialBuckets(4096, 4, 8), // 4 KiB .. 64 MiB
+    registers: [metricsRegistry],
+  }),
+  browserRestarts: new promClient.Counter({
+    name: "persistent_browser_restarts_total",
+    help: "Persistent browser disconnects (reason: crash, hung or recycle)",
+    labelNames: ["reason"],
+    registers: [metricsRegistry],
+  }),
+  timeouts: new promClient.Counter({
+    name: "render_timeouts_total",
+    // Labelled by error code, not message: messages can carry request data (selectors)
+    help: "Render timeouts by error code (PDF_TIMEOUT, READY_TIMEOUT, ...)",
+    labelNames: ["code"],
+    registers: [metricsRegistry],
+  }),
+  renderCacheLookups: new promClient.Counter({
+    name: "render_cache_lookups_total",
+    help: "Render cache lookups by result (hit or miss)",
+    labelNames: ["result"],
+    registers: [metricsRegistry],
+  }),
+  storageWrites: new promClient.Counter({
+    name: "storage_writes_total",
+    help: "Outputs written to storage (store=true) by backend and result (ok or error)",
+    labelNames: ["backend", "result"],
+    registers: [metricsRegistry],
+  }),
+};
+// Isolated-mode pages are counted here; pooled pages come from the pool itself
+let isolatedPagesInFlight = 0;
+new promClient.Gauge({
+  name: "render_pages_in_flight",
+  help: "Pages currently rendering, by mode",
+  labelNames: ["mode"],
+  registers: [metricsRegistry],
+  collect() {
+    this.set({ mode: "isolated" }, isolatedPagesInFlight);
+    // Context-mode pages also hold a pool slot
+    this.set(
+      { mode: "optimized" },
+      poolStats().activePages - contextPagesInFlight
+    );
+    this.set({ mode: "context" }, contextPagesInFlight);
+  },
+});
+new promClient.Gauge({
+  name: "render_queue_length",
+  help: "Requests waiting for a pooled page",
+  registers: [metricsRegistry],
+  collect() {
+    this.set(pageQueue.length);
+  },
+});
+
+// Time a render phase; records the duration whether the phase succeeds or throws
+async function timePhase(phase, promise) {
+  const end = metrics.renderPhaseSeconds.startTimer({ phase });
+  try {
+    const result = await promise;
+    end({ outcome: "ok" });
+    return result;
+  } catch (err) {
+    end({ outcome: "error" });
+    throw err;
+  }
+}
+
+// --------------------------------------------------------------------------------------
+// API keys: loaded from API_KEYS_FILE (JSON) or API_KEYS (JSON, or "id:key,id:key").
+// Each key has its own requests/minute limit, daily page quota and max payload size;
+// "admin" keys may also change the shared template and font registries. Auth is
+// disabled when no keys are configured.
+// --------------------------------------------------------------------------------------
+const API_KEY_DEFAULTS = {
+  rateLimitPerMinute: Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || 60),
+  dailyPageQuota: Number(process.env.API_KEY_DAILY_PAGE_QUOTA || 0), // 0 = unlimited
+  maxPayloadBytes: process.env.API_KEY_MAX_PAYLOAD || "10mb",
+};
+// Paths reachable without a key (prefix match on whole segments). Signed /storage links
+// and /metrics (METRICS_TOKEN) carry their own authorization.
+const PUBLIC_PATHS = ["/health", "/storage", "/metrics"];
+
+function parseByteSize(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  const match = String(value || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return null;
+  const unit = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[
+    match[2] || "b"
+  ];
+  return Math.floor(Number(match[1]) * unit);
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function loadApiKeys() {
+  let raw = null;
+  if (process.env.API_KEYS_FILE) {
+    raw = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, "utf8"));
+  } else if (process.env.API_KEYS) {
+    const text = process.env.API_KEYS.trim();
+    raw =
+      text.startsWith("[") || text.startsWith("{")
+        ? JSON.parse(text)
+        : text.split(",").map((pair) => {
+            const [id, ...rest] = pair.split(":");
+            return { id: id.trim(), key: rest.join(":").trim() };
+          });
+  }
+  const list = Array.isArray(raw) ? raw : (raw && raw.keys) || [];
+
+  // Indexed by SHA-256 of the key so configs may hold "keySha256" instead of the secret
+  const byHash = new Map();
+  for (const entry of list) {
+    const hash = entry.keySha256 || (entry.key ? sha256Hex(entry.key) : null);
+    if (!entry.id || !hash) {
+      throw new Error(
+        'Each API key needs an "id" and a "key" (or "keySha256")'
+      );
+    }
+    const maxPayloadBytes = parseByteSize(
+      entry.maxPayloadBytes ?? API_KEY_DEFAULTS.maxPayloadBytes
+    );
+    if (maxPayloadBytes === null) {
+      throw new Error(`Invalid maxPayloadBytes for API key "${entry.id}"`);
+    }
+    byHash.set(hash.toLowerCase(), {
+      id: String(entry.id),
+      rateLimitPerMinute: Number(
+        entry.rateLimitPerMinute ?? API_KEY_DEFAULTS.rateLimitPerMinute
+      ),
+      dailyPageQuota: Number(
+        entry.dailyPageQuota ?? API_KEY_DEFAULTS.dailyPageQuota
+      ),
+      maxPayloadBytes,
+      admin: entry.admin === true,
+    });
+  }
+  return byHash;
+}
+
+const apiKeys = loadApiKeys();
+const AUTH_ENABLED = apiKeys.size > 0;
+const rateWindows = new Map(); // key id -> { start, count }
+const pageUsage = new Map(); // "<key id>:<YYYY-MM-DD>" -> pages rendered
+
+// Look up the caller's key from Authorization: Bearer or X-API-Key (no enforcement)
+function identifyApiKey(req) {
+  if (!AUTH_ENABLED) return null;
+  const auth = String(req.headers.authorization || "");
+  const presented = auth.toLowerCase().startsWith("bearer ")
+    ? auth.slice(7).trim()
+    : String(req.headers["x-api-key"] || "").trim();
+  if (!presented) return null;
+  return apiKeys.get(sha256Hex(presented)) || null;
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Shared registries are changed only by admin keys (any caller when auth is off); returns
+// false after answering 403
+function requireAdminKey(req, res) {
+  if (!AUTH_ENABLED || (req.apiKey && req.apiKey.admin)) return true;
+  log.warn("admin_key_required", {
+    reqId: req.reqId,
+    keyId: req.apiKey ? req.apiKey.id : null,
+    path: req.path,
+  });
+  res.status(403).json({
+    error: "This API key cannot change shared resources",
+    details: { message: 'Use an API key configured with "admin": true' },
+  });
+  return false;
+}
+
+function apiKeyById(id) {
+  if (!id) return null;
+  for (const apiKey of apiKeys.values()) {
+    if (apiKey.id === id) return apiKey;
+  }
+  return null;
+}
+
+function pagesUsedToday(apiKey) {
+  return pageUsage.get(`${apiKey.id}:${utcDay()}`) || 0;
+}
+
+// Count pages in a Chromium/pdf-lib PDF without parsing the whole document
+function countPdfPages(buffer) {
+  const matches = buffer.toString("latin1").match(/\/Type\s*\/Page(?![a-z])/g);
+  return matches ? matches.length : 1;
+}
+
+// Charge rendered pages against the caller's daily quota (no-op without a key)
+function recordPageUsage(apiKey, pages) {
+  if (!apiKey || !pages) return;
+  const today = utcDay();
+  const slot = `${apiKey.id}:${today}`;
+  pageUsage.set(slot, (pageUsage.get(slot) || 0) + pages);
+  // Drop counters from previous days
+  for (const k of pageUsage.keys()) {
+    if (!k.endsWith(`:${today}`)) pageUsage.delete(k);
+  }
+}
+
+function isPublicPath(p) {
+  return PUBLIC_PATHS.some((pub) => p === pub || p.startsWith(`${pub}/`));
+}
+
+// Enforce key presence, rate limit, daily page quota and payload size (BEFORE body parsers)
+function apiKeyAuth(req, res, next) {
+  if (!AUTH_ENABLED || isPublicPath(req.path)) return next();
+  const apiKey = req.apiKey;
+  if (!apiKey) {
+    log.warn("auth_rejected", {
+      reqId: req.reqId,
+      reason:
+        req.headers.authorization || req.headers["x-api-key"]
+          ? "invalid_key"
+          : "missing_key",
+    });
+    res.set("WWW-Authenticate", 'Bearer realm="html-to-pdf"');
+    return res.status(401).json({
+      error: "Unauthorized",
+      details: {
+        message:
+          "Send a valid API key as Authorization: Bearer <key> or X-API-Key: <key>.",
+      },
+    });
+  }
+
+  if (apiKey.rateLimitPerMinute > 0) {
+    const now = Date.now();
+    let win = rateWindows.get(apiKey.id);
+    if (!win || now - win.start >= 60000) {
+      win = { start: now, count: 0 };
+      rateWindows.set(apiKey.id, win);
+    }
+    win.count++;
+    const resetSeconds = Math.ceil((win.start + 60000 - now) / 1000);
+    res.set({
+      "X-RateLimit-Limit": String(apiKey.rateLimitPerMinute),
+      "X-RateLimit-Remaining": String(
+        Math.max(0, apiKey.rateLimitPerMinute - win.count)
+      ),
+      "X-RateLimit-Reset": String(resetSeconds),
+    });
+    if (win.count > apiKey.rateLimitPerMinute) {
+      log.warn("rate_limited", { reqId: req.reqId, key: apiKey.id });
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        details: { limitPerMinute: apiKey.rateLimitPerMinute },
+      });
+    }
+  }
+
+  if (apiKey.dailyPageQuota > 0 && req.method === "POST") {
+    const used = pagesUsedToday(apiKey);
+    if (used >= apiKey.dailyPageQuota) {
+      log.warn("quota_exceeded", { reqId: req.reqId, key: apiKey.id, used });
+      res.set("Retry-After", String(secondsUntilUtcMidnight()));
+      return res.status(429).json({
+        error: "Daily page quota exceeded",
+        code: "QUOTA_EXCEEDED",
+        details: { quota: apiKey.dailyPageQuota, used, resetsAt: "00:00 UTC" },
+      });
+    }
+  }
+
+  const declared = Number(req.headers["content-length"]);
+  if (Number.isFinite(declared) && declared > apiKey.maxPayloadBytes) {
+    log.warn("payload_too_large", {
+      reqId: req.reqId,
+      key: apiKey.id,
+      bytes: declared,
+    });
+    return res.status(413).json({
+      error: "Payload too large",
+      details: { maxBytes: apiKey.maxPayloadBytes },
+    });
+  }
+  next();
+}
+
+// Body parser hook: enforce the per-key size on bodies without a Content-Length (chunked)
+function verifyPayloadSize(req, res, buf) {
+  if (req.apiKey && buf.length > req.apiKey.maxPayloadBytes) {
+    const err = new Error("Payload too large");
+    err.status = 413;
+    err.type = "entity.too.large";
+    throw err;
+  }
+}
+
 // Simple request ID + timing middleware for heavy logging and tracing (run BEFORE body parsers)
 function genReqId() {
   return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
@@ -58,6 +425,10 @@ app.use((req, res, next) => {
     req.reqId = req.reqId || genReqId();
   }
   res.setHeader("X-Request-Id", req.reqId);
+  req.apiKey = identifyApiKey(req);
+  // Aborted when the client hangs up before the response is complete
+  const abort = new AbortController();
+  req.abortSignal = abort.signal;
 
   const start = process.hrtime.bigint();
   const now = new Date().toISOString();
@@ -79,15 +450,33 @@ app.use((req, res, next) => {
     ct,
     len: clen,
     ua,
+    key: req.apiKey ? req.apiKey.id : "-",
     t: now,
   });
 
+  // Route template (not the raw URL) keeps label cardinality bounded. Array routes
+  // (["/health", "/health/live"]) are labelled with the entry that matched.
+  const countRequest = (status) => {
+    let route = "unmatched";
+    if (req.route) {
+      const paths = [].concat(req.route.path);
+      route = req.baseUrl + (paths.includes(req.path) ? req.path : paths[0]);
+    }
+    const mode =
+      req.renderMode ||
+      (/\/(isolated|optimized|context)$/.exec(route) || [])[1] ||
+      "-";
+    metrics.httpRequests.inc({ route, mode, status });
+  };
+
   const logFinish = () => {
+    countRequest(String(res.statusCode));
     const durMs = Number(process.hrtime.bigint() - start) / 1e6;
     const respBytes = res.get("Content-Length") || "-";
     const respCT = res.get("Content-Type") || "-";
     log.info("response", {
       reqId: req.reqId,
+      key: req.apiKey ? req.apiKey.id : "-",
       status: res.statusCode,
       ms: Number(durMs.toFixed(1)),
       bytes: respBytes,
@@ -97,6 +486,8 @@ app.use((req, res, next) => {
   res.on("finish", logFinish);
   res.on("close", () => {
     if (!res.writableEnded) {
+      abort.abort();
+      countRequest("aborted");
       const durMs = Number(process.hrtime.bigint() - start) / 1e6;
       log.warn("connection_aborted", {
         reqId: req.reqId,
@@ -107,10 +498,57 @@ app.use((req, res, next) => {
   next();
 });
 
+// Fill in "code" on JSON error bodies that do not set one (see STATUS_ERROR_CODES)
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      typeof body === "object" &&
+      typeof body.error === "string" &&
+      body.code === undefined
+    ) {
+      const { error, ...rest } = body;
+      body = { error, code: statusErrorCode(res.statusCode), ...rest };
+    }
+    return json(body);
+  };
+  next();
+});
+
+// Once shutdown starts, in-flight renders drain while new work is turned away
+const SHUTDOWN_DRAIN_TIMEOUT_MS = envInt("SHUTDOWN_DRAIN_TIMEOUT_MS", 25000);
+let shuttingDown = false;
+
+app.use((req, res, next) => {
+  if (
+    !shuttingDown ||
+    req.path.startsWith("/health") ||
+    req.path === "/metrics"
+  )
+    return next();
+  res.set({ Connection: "close", "Retry-After": "5" });
+  res.status(503).json({
+    error: "Server is shutting down",
+    code: "SHUTTING_DOWN",
+    details: "Retry the request; another instance will pick it up",
+  });
+});
+
+// Authenticate before any body is read so rejected callers cost nothing
+app.use(apiKeyAuth);
+
 // Parse JSON bodies (increase limit to handle large HTML payloads)
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({ limit: "10mb", verify: verifyPayloadSize }));
 // Also accept URL-encoded bodies for convenience (e.g., Postman x-www-form-urlencoded)
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(
+  express.urlencoded({
+    extended: true,
+    limit: "10mb",
+    verify: verifyPayloadSize,
+  })
+);
 // Also accept raw text/html payloads where the entire body is the HTML to render
 app.use(
   express.text({
@@ -125,11 +563,210 @@ app.use(
       );
     },
     limit: "10mb",
+    verify: verifyPayloadSize,
   })
 );
 
-// Optional: lightweight health check
-app.get("/health", (req, res) => res.json({ status: "ok" }));
+// Also accept multipart/form-data: an "index.html" (or "html") part with the page plus asset
+// parts, which become base64 "assets" served from the asset origin. Object-valued fields
+// ("pdf", "image", "network", "data") are sent as JSON strings.
+const MULTIPART_FILE_LIMIT =
+  parseByteSize(process.env.MULTIPART_FILE_LIMIT || "10mb") ?? 10 * 1024 ** 2;
+const MULTIPART_TOTAL_LIMIT =
+  parseByteSize(process.env.MULTIPART_TOTAL_LIMIT || "10mb") ?? 10 * 1024 ** 2;
+const MULTIPART_MAX_FILES = Number(process.env.MULTIPART_MAX_FILES || 50);
+const MULTIPART_JSON_FIELDS = [
+  "pdf",
+  "image",
+  "network",
+  "page",
+  "data",
+  "metadata",
+  "security",
+  "parts",
+  "document",
+  "watermark",
+];
+
+function multipartError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  if (status === 413) {
+    err.type = "entity.too.large";
+    err.details = message;
+  }
+  return err;
+}
+
+// Only POSTs under the upload routes are parsed, so the public paths (/health, /storage,
+// /metrics) never buffer an anonymous upload
+const MULTIPART_PATHS = [
+  "/generate-pdf",
+  "/generate-image",
+  "/jobs",
+  "/pdf",
+  "/fonts",
+];
+
+app.use(MULTIPART_PATHS, (req, res, next) => {
+  const ct = (req.headers["content-type"] || "").toLowerCase();
+  const multipart = ct.startsWith("multipart/form-data");
+  if (req.method !== "POST" || !multipart || req._body) return next();
+  const totalLimit = Math.min(
+    MULTIPART_TOTAL_LIMIT,
+    req.apiKey ? req.apiKey.maxPayloadBytes : Infinity
+  );
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      limits: {
+        fileSize: MULTIPART_FILE_LIMIT,
+        files: MULTIPART_MAX_FILES,
+        fieldSize: totalLimit,
+      },
+    });
+  } catch (err) {
+    return next(multipartError(err.message, 400));
+  }
+
+  const body = {};
+  const assets = {};
+  let total = 0;
+  let failed = null;
+  const openFiles = new Set();
+  const fail = (err) => {
+    if (failed) return;
+    failed = err;
+    req.unpipe(parser);
+    req.resume();
+    // Drain the file parts still open so their buffers are released
+    for (const stream of openFiles) stream.resume();
+    openFiles.clear();
+    next(err);
+  };
+  const count = (bytes) => {
+    total += bytes;
+    if (total > totalLimit) {
+      fail(multipartError(`Payload exceeds ${totalLimit} bytes`, 413));
+    }
+  };
+
+  parser.on("field", (name, value) => {
+    count(Buffer.byteLength(value));
+    if (!MULTIPART_JSON_FIELDS.includes(name)) {
+      body[name] = value;
+      return;
+    }
+    try {
+      body[name] = JSON.parse(value);
+    } catch (_) {
+      fail(multipartError(`Field "${name}" must be JSON`, 400));
+    }
+  });
+  parser.on("file", (name, stream, info) => {
+    if (failed) return stream.resume();
+    openFiles.add(stream);
+    let chunks = [];
+    stream.on("data", (chunk) => {
+      if (failed) {
+        chunks = [];
+        return;
+      }
+      chunks.push(chunk);
+      count(chunk.length);
+    });
+    stream.on("limit", () =>
+      fail(
+        multipartError(
+          `File "${info.filename}" exceeds ${MULTIPART_FILE_LIMIT} bytes`,
+          413
+        )
+      )
+    );
+    stream.on("end", () => {
+      openFiles.delete(stream);
+      if (failed) return;
+      const data = Buffer.concat(chunks);
+      const filename = info.filename || name;
+      if (name === "html" || filename === "index.html") {
+        body.html = data.toString("utf8");
+      } else {
+        // Keep the client's name (including folders) so the HTML can reference it
+        assets[filename] = {
+          data: data.toString("base64"),
+          contentType:
+            info.mimeType && info.mimeType !== "application/octet-stream"
+              ? info.mimeType
+              : assetContentType(filename),
+        };
+      }
+    });
+  });
+  parser.on("filesLimit", () =>
+    fail(multipartError(`Too many files (max ${MULTIPART_MAX_FILES})`, 413))
+  );
+  parser.on("error", (err) => fail(multipartError(err.message, 400)));
+  parser.on("close", () => {
+    if (failed) return;
+    if (Object.keys(assets).length) {
+      body.assets = { ...(body.assets || {}), ...assets };
+    }
+    req.body = body;
+    req._body = true;
+    log.info("multipart_parsed", {
+      reqId: req.reqId,
+      bytes: total,
+      fields: Object.keys(body).filter((k) => k !== "assets"),
+      assets: Object.keys(assets).length,
+    });
+    next();
+  });
+  req.pipe(parser);
+});
+
+// Liveness: the process is up and its event loop answers (/health kept for old probes)
+app.get(["/health", "/health/live"], (req, res) =>
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) })
+);
+
+// Readiness: 503 until a pooled browser is up, so load balancers hold traffic back
+app.get("/health/ready", (req, res) => {
+  const report = readinessReport();
+  res.status(report.status === "ready" ? 200 : 503).json(report);
+});
+
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN) {
+    const auth = String(req.headers.authorization || "");
+    const presented = auth.toLowerCase().startsWith("bearer ")
+      ? auth.slice(7).trim()
+      : "";
+    // Compare digests so the check takes the same time whatever was sent
+    const ok = crypto.timingSafeEqual(
+      Buffer.from(sha256Hex(presented), "hex"),
+      Buffer.from(sha256Hex(METRICS_TOKEN), "hex")
+    );
+    if (!ok) {
+      log.warn("metrics_auth_rejected", { reqId: req.reqId });
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).json({
+        error: "Unauthorized",
+        details: {
+          message: "Send METRICS_TOKEN as Authorization: Bearer <token>.",
+        },
+      });
+    }
+  }
+  try {
+    res.set("Content-Type", metricsRegistry.contentType);
+    res.end(await metricsRegistry.metrics());
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to collect metrics", details: err.message });
+  }
+});
 
 // Body parser error handler (invalid JSON, payload too large, etc.)
 app.use((err, req, res, next) => {
@@ -138,7 +775,10 @@ app.use((err, req, res, next) => {
   const msg = err && (err.message || String(err));
   log.error("parser_error", { reqId: id, message: msg });
   if (err.type === "entity.too.large") {
-    return res.status(413).json({ error: "Payload too large" });
+    // details is only set by the multipart parser (which limit was hit)
+    return res
+      .status(413)
+      .json({ error: "Payload too large", details: err.details });
   }
   if (err instanceof SyntaxError && "body" in err) {
     return res.status(400).json({ error: "Invalid JSON", details: msg });
@@ -161,243 +801,5953 @@ const PUPPETEER_LAUNCH_OPTIONS = {
 };
 
 // --------------------------------------------------------------------------------------
-// Persistent Browser (for /generate-pdf/optimized)
+// Persistent Browser Pool (for /generate-pdf/optimized)
+// N persistent browsers x M concurrent pages each; excess requests wait in a bounded FIFO
+// queue. Browsers are recycled after a number of renders or too much memory growth.
 // --------------------------------------------------------------------------------------
-let persistentBrowser = null;
-let persistentBrowserLaunchPromise = null;
+function envInt(name, fallback) {
+  const n = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const POOL_BROWSERS = Math.max(1, envInt("POOL_BROWSERS", 1));
+const POOL_PAGES_PER_BROWSER = Math.max(1, envInt("POOL_PAGES_PER_BROWSER", 4));
+const POOL_QUEUE_MAX = envInt("POOL_QUEUE_MAX", 50);
+const POOL_QUEUE_TIMEOUT_MS = envInt("POOL_QUEUE_TIMEOUT_MS", 30000);
+const POOL_RETRY_AFTER_SECONDS = Math.max(
+  1,
+  envInt("POOL_RETRY_AFTER_SECONDS", 5)
+);
+// 0 disables the corresponding recycling trigger
+const POOL_RECYCLE_AFTER_RENDERS = envInt("POOL_RECYCLE_AFTER_RENDERS", 500);
+const POOL_RECYCLE_MEMORY_MB = envInt("POOL_RECYCLE_MEMORY_MB", 512);
 
-async function launchPersistentBrowser() {
+const browserSlots = Array.from({ length: POOL_BROWSERS }, (_, id) => ({
+  id,
+  browser: null,
+  launchPromise: null,
+  activePages: 0,
+  renders: 0,
+  baselineRssMb: null,
+  retiring: false,
+  version: null,
+  // Launch failures back off exponentially; see the watchdog below
+  failures: 0,
+  nextLaunchAt: 0,
+  lastError: null,
+  lastPingAt: null,
+  lastPingMs: null,
+}));
+const pageQueue = [];
+
+async function launchPersistentBrowser(slot = browserSlots[0]) {
+  const tag = `[persist:${slot.id}]`;
   // Avoid relaunch if an active connection already exists
-  if (persistentBrowser && persistentBrowser.isConnected()) {
-    console.log("[persist] Reusing existing persistent browser");
-    return persistentBrowser;
+  if (slot.browser && slot.browser.isConnected()) {
+    console.log(`${tag} Reusing existing persistent browser`);
+    return slot.browser;
   }
   // Deduplicate concurrent launches
-  if (persistentBrowserLaunchPromise) {
-    console.log("[persist] Awaiting ongoing persistent browser launch...");
-    return persistentBrowserLaunchPromise;
+  if (slot.launchPromise) {
+    console.log(`${tag} Awaiting ongoing persistent browser launch...`);
+    return slot.launchPromise;
+  }
+  // After failed launches, fail fast until the backoff window has passed
+  const waitMs = slot.nextLaunchAt - Date.now();
+  if (waitMs > 0) {
+    const err = poolError(
+      `Browser unavailable (${slot.failures} failed launches: ${slot.lastError})`,
+      503,
+      "BROWSER_UNAVAILABLE"
+    );
+    err.retryAfter = Math.ceil(waitMs / 1000);
+    throw err;
   }
 
-  persistentBrowserLaunchPromise = puppeteer
-    .launch(PUPPETEER_LAUNCH_OPTIONS)
-    .then((browser) => {
-      persistentBrowser = browser;
+  slot.launchPromise = timePhase(
+    "browser_launch",
+    puppeteer.launch(PUPPETEER_LAUNCH_OPTIONS)
+  )
+    .then(async (browser) => {
+      slot.browser = browser;
+      slot.renders = 0;
+      slot.baselineRssMb = browserRssMb(browser);
+      slot.version = await browser.version().catch(() => null);
+      slot.failures = 0;
+      slot.lastError = null;
       // Reset reference if the browser disconnects (e.g., crash or manual close)
       browser.on("disconnected", () => {
-        console.warn("[persist] Persistent browser disconnected");
-        persistentBrowser = null;
+        console.warn(`${tag} Persistent browser disconnected`);
+        // Recycling and the watchdog detach the browser from its slot before closing it
+        const reason = killedBrowsers.has(browser)
+          ? "hung"
+          : slot.browser === browser
+          ? "crash"
+          : "recycle";
+        metrics.browserRestarts.inc({ reason });
+        if (slot.browser === browser) slot.browser = null;
       });
-      console.log("[persist] Persistent browser launched");
+      console.log(`${tag} Persistent browser launched`);
       return browser;
     })
+    .catch((err) => {
+      err.code = "BROWSER_LAUNCH_FAILED";
+      slot.failures++;
+      slot.lastError = err?.message || String(err);
+      const backoffMs = Math.min(
+        BROWSER_RELAUNCH_BACKOFF_MS * 2 ** (slot.failures - 1),
+        BROWSER_RELAUNCH_BACKOFF_MAX_MS
+      );
+      slot.nextLaunchAt = Date.now() + backoffMs;
+      log.error("pool_browser_launch_failed", {
+        browser: slot.id,
+        failures: slot.failures,
+        retryInMs: backoffMs,
+        error: slot.lastError,
+      });
+      throw err;
+    })
     .finally(() => {
-      persistentBrowserLaunchPromise = null;
+      slot.launchPromise = null;
     });
 
-  return persistentBrowserLaunchPromise;
+  return slot.launchPromise;
 }
 
-// --------------------------------------------------------------------------------------
-// Helpers
-// --------------------------------------------------------------------------------------
-function withTimeout(promise, ms, message = "Operation timed out") {
-  let timer;
-  const timeout = new Promise((_, reject) => {
-    timer = setTimeout(() => reject(new Error(message)), ms);
-  });
-  return Promise.race([promise.finally(() => clearTimeout(timer)), timeout]);
+// Resident memory of the browser's main process (Linux /proc only; null elsewhere)
+function browserRssMb(browser) {
+  try {
+    const pid = browser.process()?.pid;
+    if (!pid) return null;
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    return match ? Number(match[1]) / 1024 : null;
+  } catch (_) {
+    return null;
+  }
 }
 
-// Sanitize a requested filename to a safe PDF name
-function safeFilename(input, fallback = "document.pdf") {
-  if (!input || typeof input !== "string") return fallback;
-  let name = input.trim();
-  // Replace unsafe characters, collapse spaces, and strip path separators
-  name = name.replace(/[^a-zA-Z0-9._-]+/g, "_");
-  name = name.replace(/[\\/]+/g, "_");
-  if (!name.toLowerCase().endsWith(".pdf")) name += ".pdf";
-  if (name === ".pdf" || name === "") return fallback;
-  return name;
+function poolStats() {
+  return {
+    browsers: browserSlots.map((slot) => ({
+      id: slot.id,
+      connected: Boolean(slot.browser && slot.browser.isConnected()),
+      activePages: slot.activePages,
+      renders: slot.renders,
+      retiring: slot.retiring,
+    })),
+    activePages: browserSlots.reduce((n, slot) => n + slot.activePages, 0),
+    capacity: POOL_BROWSERS * POOL_PAGES_PER_BROWSER,
+    queued: pageQueue.length,
+    queueMax: POOL_QUEUE_MAX,
+  };
 }
 
-async function renderPdfFromHtml(html, browser, reqId = "-") {
-  console.log(`[${reqId}] [render] Opening new page`);
-  const page = await browser.newPage();
-  page.setDefaultTimeout(30000); // 30s default timeout for page operations
+// Least-loaded slot that still has page capacity and is not being recycled
+function pickBrowserSlot() {
+  let best = null;
+  for (const slot of browserSlots) {
+    if (slot.retiring || slot.activePages >= POOL_PAGES_PER_BROWSER) continue;
+    if (!best || slot.activePages < best.activePages) best = slot;
+  }
+  return best;
+}
 
-  try {
-    // Load the HTML and wait for network to be idle to stabilize rendering
-    console.log(
-      `[${reqId}] [render] Setting page content (waitUntil=networkidle0)`
-    );
-    await withTimeout(
-      (async () => {
-        await page.setContent(html, { waitUntil: "networkidle0" });
-        await page.emulateMediaType("screen");
-      })(),
-      25000,
-      "Timed out while setting page content"
-    );
-    console.log(`[${reqId}] [render] Content set`);
+function poolError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  err.retryAfter = POOL_RETRY_AFTER_SECONDS;
+  return err;
+}
 
-    // Generate the PDF buffer
-    console.log(`[${reqId}] [render] Generating PDF`);
-    const pdfBuffer = await withTimeout(
-      page.pdf({
-        format: "A4",
-        printBackground: true,
-        margin: { top: "10mm", right: "10mm", bottom: "10mm", left: "10mm" },
-      }),
-      20000,
-      "Timed out while generating PDF"
-    );
-    console.log(
-      `[${reqId}] [render] PDF generated (${pdfBuffer.length} bytes)`
+// Reserve a page slot on one of the pooled browsers; resolves with the slot, or rejects
+// with status 429 (queue full) / 503 (waited too long)
+function acquirePageSlot(reqId = "-", signal = null) {
+  if (signal && signal.aborted) return Promise.reject(cancelledError());
+  if (!pageQueue.length) {
+    const slot = pickBrowserSlot();
+    if (slot) {
+      slot.activePages++;
+      return Promise.resolve(slot);
+    }
+  }
+  if (pageQueue.length >= POOL_QUEUE_MAX) {
+    log.warn("pool_queue_full", { reqId, queued: pageQueue.length });
+    return Promise.reject(poolError("Render queue is full", 429, "QUEUE_FULL"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { reqId, resolve, reject, enqueuedAt: Date.now() };
+    waiter.timer = setTimeout(() => {
+      const idx = pageQueue.indexOf(waiter);
+      if (idx >= 0) pageQueue.splice(idx, 1);
+      log.warn("pool_queue_timeout", {
+        reqId,
+        waitedMs: POOL_QUEUE_TIMEOUT_MS,
+      });
+      reject(
+        poolError(
+          "Timed out waiting for a free render slot",
+          503,
+          "QUEUE_TIMEOUT"
+        )
+      );
+    }, POOL_QUEUE_TIMEOUT_MS);
+    // A cancelled request gives up its place in the queue
+    signal?.addEventListener(
+      "abort",
+      () => {
+        const idx = pageQueue.indexOf(waiter);
+        if (idx < 0) return;
+        pageQueue.splice(idx, 1);
+        clearTimeout(waiter.timer);
+        reject(cancelledError());
+      },
+      { once: true }
     );
+    pageQueue.push(waiter);
+    log.info("pool_queued", { reqId, position: pageQueue.length });
+  });
+}
 
-    return { pdfBuffer, page };
-  } catch (err) {
-    // Close the page immediately on failure to avoid leaks
-    try {
-      console.warn(`[${reqId}] [render] Error encountered; closing page`);
-      await page.close({ runBeforeUnload: false });
-    } catch (_) {}
-    throw err;
+function drainPageQueue() {
+  while (pageQueue.length) {
+    const slot = pickBrowserSlot();
+    if (!slot) return;
+    const waiter = pageQueue.shift();
+    clearTimeout(waiter.timer);
+    slot.activePages++;
+    log.info("pool_dequeued", {
+      reqId: waiter.reqId,
+      waitedMs: Date.now() - waiter.enqueuedAt,
+      browser: slot.id,
+    });
+    waiter.resolve(slot);
   }
 }
 
-function sendPdfBuffer(res, buffer, filename = "document.pdf") {
-  const sigOk =
-    buffer && buffer.length >= 5 && buffer.toString("ascii", 0, 5) === "%PDF-";
-  res.set({
-    "Content-Type": "application/pdf",
-    "Content-Disposition": `attachment; filename="${filename}"`,
-    "X-Content-Type-Options": "nosniff",
-    "Content-Length": String(buffer.length),
-    "Cache-Control": "no-store",
-    "Content-Transfer-Encoding": "binary",
-  });
-  if (!sigOk) {
-    // This shouldn't occur; log for diagnostics but still send the data
-    try {
-      log.warn("pdf_signature_missing", { len: buffer?.length });
-    } catch (_) {}
+function releasePageSlot(slot, rendered = true) {
+  slot.activePages = Math.max(0, slot.activePages - 1);
+  if (rendered) {
+    slot.renders++;
+    lastRenderAt = new Date().toISOString();
   }
-  res.status(200).end(buffer);
+
+  if (!slot.retiring && slot.browser) {
+    const growthMb =
+      slot.baselineRssMb === null
+        ? null
+        : (browserRssMb(slot.browser) ?? slot.baselineRssMb) -
+          slot.baselineRssMb;
+    let reason = null;
+    if (
+      POOL_RECYCLE_AFTER_RENDERS &&
+      slot.renders >= POOL_RECYCLE_AFTER_RENDERS
+    ) {
+      reason = "renders";
+    } else if (POOL_RECYCLE_MEMORY_MB && growthMb > POOL_RECYCLE_MEMORY_MB) {
+      reason = "memory";
+    }
+    if (reason) {
+      log.info("pool_recycle_scheduled", {
+        browser: slot.id,
+        reason,
+        renders: slot.renders,
+        growthMb: growthMb === null ? null : Math.round(growthMb),
+      });
+      slot.retiring = true;
+    }
+  }
+  if (slot.retiring && slot.activePages === 0) {
+    recycleBrowserSlot(slot);
+    return;
+  }
+  drainPageQueue();
 }
 
-function ensureHtmlInput(req, res) {
-  const ct = req.headers["content-type"] || "";
-  let html = null;
+// Close a drained browser; the watchdog or the next acquisition relaunches it
+async function recycleBrowserSlot(slot) {
+  const browser = slot.browser;
+  slot.browser = null;
+  await closeBrowser(browser);
+  log.info("pool_recycled", { browser: slot.id, renders: slot.renders });
+  slot.renders = 0;
+  slot.baselineRssMb = null;
+  slot.retiring = false;
+  drainPageQueue();
+}
 
-  // If body parser provided a string (text/plain or text/html), treat it as the HTML directly
-  if (typeof req.body === "string") {
-    html = req.body;
-  } else if (req && req.body && typeof req.body === "object") {
-    html = req.body.html;
+// Fail every request still waiting for a page slot (used when shutting down)
+function rejectPageQueue(message, status, code) {
+  const waiters = pageQueue.splice(0);
+  for (const waiter of waiters) {
+    clearTimeout(waiter.timer);
+    waiter.reject(poolError(message, status, code));
   }
+  return waiters.length;
+}
 
-  if (typeof html !== "string" || html.trim() === "") {
-    const keys =
-      req && req.body && typeof req.body === "object"
-        ? Object.keys(req.body)
-        : [];
-    return res.status(400).json({
-      error: "Expected HTML input",
-      details: {
-        message:
-          'Send raw text/html body or JSON with a non-empty string property "html".',
-        contentType: ct || "(none)",
-        receivedType: typeof req.body,
-        bodyKeys: keys,
-      },
+async function closeBrowserPool() {
+  await Promise.all(browserSlots.map((slot) => closeBrowser(slot.browser)));
+}
+
+// --------------------------------------------------------------------------------------
+// Browser watchdog: every BROWSER_WATCHDOG_INTERVAL_MS each pooled browser must open and
+// close a blank page in time. Hung browsers are killed; missing ones are relaunched with
+// exponential backoff, so the pool heals without waiting for a request to notice.
+// --------------------------------------------------------------------------------------
+const BROWSER_WATCHDOG_INTERVAL_MS = envInt(
+  "BROWSER_WATCHDOG_INTERVAL_MS",
+  30000
+);
+const BROWSER_PING_TIMEOUT_MS = Math.max(
+  100,
+  envInt("BROWSER_PING_TIMEOUT_MS", 5000)
+);
+const BROWSER_KILL_GRACE_MS = envInt("BROWSER_KILL_GRACE_MS", 5000);
+const BROWSER_RELAUNCH_BACKOFF_MS = Math.max(
+  100,
+  envInt("BROWSER_RELAUNCH_BACKOFF_MS", 1000)
+);
+const BROWSER_RELAUNCH_BACKOFF_MAX_MS = Math.max(
+  BROWSER_RELAUNCH_BACKOFF_MS,
+  envInt("BROWSER_RELAUNCH_BACKOFF_MAX_MS", 60000)
+);
+
+const killedBrowsers = new WeakSet();
+let lastRenderAt = null;
+let watchdogTimer = null;
+
+// Close gracefully, then SIGKILL the process if it has not exited within the grace period
+async function closeBrowser(browser) {
+  if (!browser) return;
+  let timer;
+  const graceOver = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(true), BROWSER_KILL_GRACE_MS);
+  });
+  const timedOut = await Promise.race([
+    browser.close().then(
+      () => false,
+      () => false
+    ),
+    graceOver,
+  ]);
+  clearTimeout(timer);
+  if (timedOut) {
+    const proc = browser.process();
+    log.warn("browser_kill", {
+      pid: proc?.pid,
+      graceMs: BROWSER_KILL_GRACE_MS,
+    });
+    try {
+      proc?.kill("SIGKILL");
+    } catch (_) {}
+  }
+}
+
+async function pingBrowser(browser) {
+  const page = await browser.newPage();
+  try {
+    await page.goto("about:blank");
+  } finally {
+    await page.close({ runBeforeUnload: false }).catch(() => {});
+  }
+}
+
+async function watchBrowserSlot(slot) {
+  if (slot.launchPromise || slot.retiring) return;
+  const browser = slot.browser;
+  if (!browser || !browser.isConnected()) {
+    if (Date.now() < slot.nextLaunchAt) return;
+    log.info("watchdog_relaunch", {
+      browser: slot.id,
+      failures: slot.failures,
+    });
+    // Failures are logged and backed off inside launchPersistentBrowser
+    await launchPersistentBrowser(slot).catch(() => {});
+    drainPageQueue();
+    return;
+  }
+  const started = Date.now();
+  try {
+    await withTimeout(
+      pingBrowser(browser),
+      BROWSER_PING_TIMEOUT_MS,
+      "Browser ping timed out"
+    );
+    slot.lastPingAt = new Date().toISOString();
+    slot.lastPingMs = Date.now() - started;
+  } catch (err) {
+    // Recycled or crashed while we were pinging: nothing to kill
+    if (slot.browser !== browser) return;
+    log.error("watchdog_browser_unresponsive", {
+      browser: slot.id,
+      activePages: slot.activePages,
+      error: err?.message || String(err),
+    });
+    killedBrowsers.add(browser);
+    slot.browser = null;
+    slot.lastError = err?.message || String(err);
+    await closeBrowser(browser);
+  }
+}
+
+function startBrowserWatchdog() {
+  if (!BROWSER_WATCHDOG_INTERVAL_MS || watchdogTimer) return;
+  let running = false;
+  watchdogTimer = setInterval(async () => {
+    // A slow round (pings plus grace periods) must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      await Promise.all(browserSlots.map(watchBrowserSlot));
+    } finally {
+      running = false;
+    }
+  }, BROWSER_WATCHDOG_INTERVAL_MS);
+  watchdogTimer.unref();
+}
+
+function stopBrowserWatchdog() {
+  clearInterval(watchdogTimer);
+  watchdogTimer = null;
+}
+
+function browserState(slot) {
+  if (slot.browser && slot.browser.isConnected()) {
+    return slot.retiring ? "retiring" : "up";
+  }
+  if (slot.launchPromise) return "launching";
+  return Date.now() < slot.nextLaunchAt ? "backoff" : "down";
+}
+
+// Readiness: at least one pooled browser is up and answering pings
+function readinessReport() {
+  const pool = poolStats();
+  const browsers = browserSlots.map((slot) => ({
+    id: slot.id,
+    state: browserState(slot),
+    version: slot.version,
+    activePages: slot.activePages,
+    renders: slot.renders,
+    lastPingAt: slot.lastPingAt,
+    lastPingMs: slot.lastPingMs,
+    failures: slot.failures,
+    nextLaunchAt: slot.nextLaunchAt
+      ? new Date(slot.nextLaunchAt).toISOString()
+      : null,
+    lastError: slot.lastError,
+  }));
+  const ready = !shuttingDown && browsers.some((b) => b.state === "up");
+  return {
+    status: shuttingDown ? "draining" : ready ? "ready" : "unavailable",
+    chromium: browsers.find((b) => b.state === "up")?.version ?? null,
+    lastRenderAt,
+    pool: {
+      activePages: pool.activePages,
+      capacity: pool.capacity,
+      queued: pool.queued,
+      queueMax: pool.queueMax,
+      isolatedPages: isolatedPagesInFlight,
+    },
+    browsers,
+  };
+}
+
+// --------------------------------------------------------------------------------------
+// Helpers
+// --------------------------------------------------------------------------------------
+function withTimeout(
+  promise,
+  ms,
+  message = "Operation timed out",
+  code = "TIMEOUT"
+) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.code = code;
+      err.timedOut = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise.finally(() => clearTimeout(timer)), timeout]);
+}
+
+// withTimeout for render phases, counted in render_timeouts_total. Health pings, font
+// checks and debug screenshots use withTimeout directly and stay out of that metric.
+async function withRenderTimeout(promise, ms, message, code) {
+  try {
+    return await withTimeout(promise, ms, message, code);
+  } catch (err) {
+    if (err.timedOut) metrics.timeouts.inc({ code });
+    throw err;
+  }
+}
+
+// The client went away mid-render. Handlers log these as cancelled, never as errors.
+function cancelledError() {
+  const err = new Error("Client disconnected");
+  err.cancelled = true;
+  err.status = 499;
+  err.code = "CLIENT_CLOSED";
+  return err;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+// Close the page as soon as the request is cancelled; pending page calls then reject
+function closePageOnAbort(page, signal, reqId) {
+  if (!signal) return;
+  signal.addEventListener(
+    "abort",
+    () => {
+      if (page.isClosed()) return;
+      console.warn(`[${reqId}] [render] Client disconnected; closing page`);
+      page.close({ runBeforeUnload: false }).catch(() => {});
+    },
+    { once: true }
+  );
+}
+
+// Sanitize a requested filename to a safe name with the given extension (PDF by default)
+function safeFilename(input, fallback = "document.pdf", ext = ".pdf") {
+  if (!input || typeof input !== "string") return fallback;
+  let name = input.trim();
+  // Replace unsafe characters, collapse spaces, and strip path separators
+  name = name.replace(/[^a-zA-Z0-9._-]+/g, "_");
+  name = name.replace(/[\\/]+/g, "_");
+  if (!name.toLowerCase().endsWith(ext)) name += ext;
+  if (name === ext || name === "") return fallback;
+  return name;
+}
+
+// Puppeteer returns Uint8Array; use Buffer so signature checks and toString work
+function toBuffer(data) {
+  return Buffer.isBuffer(data)
+    ? data
+    : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+// --------------------------------------------------------------------------------------
+// Errors and diagnostics: every JSON error carries a stable "code" next to the message,
+// and debug=true returns the page's console, errors, failed requests and phase timings
+// --------------------------------------------------------------------------------------
+// Codes for errors that do not set one, by HTTP status
+const STATUS_ERROR_CODES = {
+  400: "INVALID_INPUT",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "UNPROCESSABLE",
+  429: "RATE_LIMITED",
+  499: "CLIENT_CLOSED",
+  502: "UPSTREAM_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+  504: "TIMEOUT",
+};
+// Codes set on thrown errors (err.code); anything else falls back to the status code
+const RENDER_ERROR_CODES = new Set([
+  "BROWSER_LAUNCH_FAILED",
+  "BROWSER_UNAVAILABLE",
+  "QUEUE_FULL",
+  "QUEUE_TIMEOUT",
+  "SHUTTING_DOWN",
+  "CLIENT_CLOSED",
+  "NAVIGATION_TIMEOUT",
+  "CONTENT_TIMEOUT",
+  "READY_TIMEOUT",
+  "PDF_TIMEOUT",
+  "SCREENSHOT_TIMEOUT",
+  "TIMEOUT",
+  "TARGET_HTTP_ERROR",
+  "SELECTOR_NOT_FOUND",
+  "PDF_CONFORMANCE_FAILED",
+  "INVALID_PDF",
+  "INVALID_INPUT",
+  "URL_NOT_ALLOWED",
+  "VALIDATION_FAILED",
+  "STORAGE_WRITE_FAILED",
+]);
+const DEBUG_MAX_ENTRIES = envInt("DEBUG_MAX_ENTRIES", 200);
+const DEBUG_MAX_TEXT = 2000;
+const DEBUG_SCREENSHOT_TIMEOUT_MS = 5000;
+
+function statusErrorCode(status) {
+  return (
+    STATUS_ERROR_CODES[status] ||
+    (status >= 500 ? "RENDER_FAILED" : "INVALID_INPUT")
+  );
+}
+
+// Node and Puppeteer set their own err.code values (ECONNRESET, ...); only ours pass through
+function errorCodeFor(err) {
+  if (err && RENDER_ERROR_CODES.has(err.code)) return err.code;
+  return statusErrorCode((err && err.status) || 500);
+}
+
+// Per-request collector for debug=true; null otherwise
+function createRenderTrace() {
+  return {
+    startedAt: Date.now(),
+    timings: {},
+    console: [],
+    pageErrors: [],
+    failedRequests: [],
+    warnings: [],
+    dropped: 0,
+    screenshot: null,
+  };
+}
+
+function traceAdd(trace, list, entry) {
+  if (trace[list].length >= DEBUG_MAX_ENTRIES) {
+    trace.dropped++;
+    return;
+  }
+  trace[list].push(entry);
+}
+
+function clipText(text) {
+  const value = String(text ?? "");
+  return value.length > DEBUG_MAX_TEXT
+    ? `${value.slice(0, DEBUG_MAX_TEXT)}…`
+    : value;
+}
+
+// Time one phase into the trace (phases that run more than once add up)
+async function traced(trace, phase, promise) {
+  if (!trace) return promise;
+  const started = Date.now();
+  try {
+    return await promise;
+  } finally {
+    trace.timings[phase] = (trace.timings[phase] || 0) + Date.now() - started;
+  }
+}
+
+function attachRenderTrace(page, trace) {
+  if (!trace) return;
+  page.on("console", (msg) => {
+    const location = msg.location() || {};
+    traceAdd(trace, "console", {
+      type: msg.type(),
+      text: clipText(msg.text()),
+      url: location.url || null,
+      line: location.lineNumber ?? null,
+    });
+  });
+  page.on("pageerror", (err) => {
+    traceAdd(trace, "pageErrors", {
+      message: clipText(err?.message || err),
+      stack: err?.stack ? clipText(err.stack) : null,
+    });
+  });
+  page.on("requestfailed", (request) => {
+    traceAdd(trace, "failedRequests", {
+      url: clipText(request.url()),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      error: request.failure()?.errorText || "failed",
+    });
+  });
+  page.on("requestfinished", (request) => {
+    const response = request.response();
+    if (!response || response.status() < 400) return;
+    traceAdd(trace, "failedRequests", {
+      url: clipText(request.url()),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      status: response.status(),
+    });
+  });
+}
+
+// What the page looked like when the render failed (base64 PNG, or null)
+async function captureFailureScreenshot(page, trace) {
+  if (!trace || page.isClosed()) return;
+  try {
+    trace.screenshot = await withTimeout(
+      page.screenshot({ type: "png", encoding: "base64" }),
+      DEBUG_SCREENSHOT_TIMEOUT_MS,
+      "Timed out while capturing debug screenshot"
+    );
+  } catch (_) {}
+}
+
+function debugReport(trace) {
+  return {
+    timings: { ...trace.timings, total: Date.now() - trace.startedAt },
+    console: trace.console,
+    pageErrors: trace.pageErrors,
+    failedRequests: trace.failedRequests,
+    warnings: trace.warnings,
+    dropped: trace.dropped,
+    screenshot: trace.screenshot,
+  };
+}
+
+// Read "debug" from the JSON body or query; sets req.renderTrace. Returns false/true, or
+// null after responding with 400.
+function parseDebugOption(req, res) {
+  const raw =
+    req.body && typeof req.body === "object" && req.body.debug !== undefined
+      ? req.body.debug
+      : req.query && req.query.debug;
+  if (raw === undefined) return false;
+  const debug = parseBooleanOption(raw);
+  if (debug === undefined) {
+    res.status(400).json({
+      error: "Invalid debug option",
+      details: { field: "debug", message: "Expected a boolean" },
+    });
+    return null;
+  }
+  if (debug) req.renderTrace = createRenderTrace();
+  return debug;
+}
+
+// debug=true success: the output as base64 inside a JSON envelope with the diagnostics
+function sendDebugEnvelope(req, res, buffer, contentType, filename) {
+  res.set("Cache-Control", "no-store");
+  res.status(200).json({
+    reqId: req.reqId,
+    mode: req.renderMode,
+    contentType,
+    filename,
+    bytes: buffer.length,
+    data: buffer.toString("base64"),
+    debug: debugReport(req.renderTrace),
+  });
+}
+
+function sendRenderError(req, res, err, error) {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  const body = {
+    error,
+    code: errorCodeFor(err),
+    details: err.details ?? err.message,
+  };
+  if (req.renderTrace) body.debug = debugReport(req.renderTrace);
+  res.status(err.status || 500).json(body);
+}
+
+// --------------------------------------------------------------------------------------
+// PDF options (per request; defaults match the historical hardcoded values)
+// --------------------------------------------------------------------------------------
+const DEFAULT_PDF_MARGIN = "10mm";
+const DEFAULT_PDF_OPTIONS = {
+  format: "A4",
+  printBackground: true,
+  margin: {
+    top: DEFAULT_PDF_MARGIN,
+    right: DEFAULT_PDF_MARGIN,
+    bottom: DEFAULT_PDF_MARGIN,
+    left: DEFAULT_PDF_MARGIN,
+  },
+};
+const PDF_FORMATS = [
+  "letter",
+  "legal",
+  "tabloid",
+  "ledger",
+  "a0",
+  "a1",
+  "a2",
+  "a3",
+  "a4",
+  "a5",
+  "a6",
+];
+const PDF_OPTION_KEYS = [
+  "format",
+  "width",
+  "height",
+  "landscape",
+  "margin",
+  "scale",
+  "pageRanges",
+  "preferCSSPageSize",
+  "printBackground",
+  "headerTemplate",
+  "footerTemplate",
+  "outline",
+  "tagged",
+  "archival",
+];
+const MARGIN_SIDES = ["top", "right", "bottom", "left"];
+// Margin reserved for a header/footer template when the caller did not set that side
+const HEADER_FOOTER_MARGIN = process.env.PDF_HEADER_FOOTER_MARGIN || "20mm";
+const MAX_TEMPLATE_BYTES = 64 * 1024;
+// Chromium fills elements with these classes; {{name}} is accepted as a shorthand
+const TEMPLATE_PLACEHOLDERS = [
+  "pageNumber",
+  "totalPages",
+  "date",
+  "title",
+  "url",
+];
+// Numbers are CSS pixels; strings may carry a px/in/cm/mm unit (Chromium's accepted units)
+const CSS_LENGTH_RE = /^\d+(\.\d+)?(px|in|cm|mm)?$/i;
+const PAGE_RANGES_RE = /^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/;
+const PAGE_RANGES_MESSAGE =
+  'Expected 1-based page ranges running low to high, such as "1-5, 8, 11-13"';
+
+// "1-5, 8, 11-13" -> [[1, 5], [8, 8], [11, 13]]; null unless every page is >= 1 and every
+// range runs low to high (Chromium rejects anything else at print time)
+function parsePageRanges(spec) {
+  if (typeof spec !== "string" || !PAGE_RANGES_RE.test(spec)) return null;
+  const ranges = spec.split(",").map((range) => {
+    const [from, to = from] = range.split("-").map((n) => Number(n.trim()));
+    return [from, to];
+  });
+  return ranges.every(([from, to]) => from >= 1 && from <= to) ? ranges : null;
+}
+
+function parseBooleanOption(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    const v = value.trim().toLowerCase();
+    if (v === "true" || v === "1" || v === "yes") return true;
+    if (v === "false" || v === "0" || v === "no") return false;
+  }
+  return undefined;
+}
+
+function parseCssLength(value) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+  if (typeof value === "string" && CSS_LENGTH_RE.test(value.trim())) {
+    return value.trim();
+  }
+  return undefined;
+}
+
+// Validate a raw options object; returns { options, errors }
+function validatePdfOptions(raw) {
+  const errors = [];
+  const options = {
+    ...DEFAULT_PDF_OPTIONS,
+    margin: { ...DEFAULT_PDF_OPTIONS.margin },
+  };
+  if (raw === undefined || raw === null) return { options, errors };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field: "pdf", message: "Expected an object" });
+    return { options, errors };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!PDF_OPTION_KEYS.includes(key)) {
+      errors.push({ field: `pdf.${key}`, message: "Unknown option" });
+    }
+  }
+
+  const hasWidth = raw.width !== undefined;
+  const hasHeight = raw.height !== undefined;
+  if (hasWidth || hasHeight) {
+    if (raw.format !== undefined) {
+      errors.push({
+        field: "pdf.format",
+        message: "Use either format or width/height, not both",
+      });
+    }
+    if (!hasWidth || !hasHeight) {
+      errors.push({
+        field: hasWidth ? "pdf.height" : "pdf.width",
+        message: "Custom page size requires both width and height",
+      });
+    }
+    for (const key of ["width", "height"]) {
+      if (raw[key] === undefined) continue;
+      const len = parseCssLength(raw[key]);
+      if (len === undefined || !(parseFloat(len) > 0)) {
+        errors.push({
+          field: `pdf.${key}`,
+          message: 'Expected a positive length (number of px or e.g. "8.5in")',
+        });
+      } else {
+        options[key] = len;
+      }
+    }
+    delete options.format;
+  } else if (raw.format !== undefined) {
+    const fmt = typeof raw.format === "string" ? raw.format.trim() : "";
+    if (!PDF_FORMATS.includes(fmt.toLowerCase())) {
+      errors.push({
+        field: "pdf.format",
+        message: `Expected one of ${PDF_FORMATS.join(", ")}`,
+      });
+    } else {
+      options.format = fmt.toLowerCase();
+    }
+  }
+
+  for (const key of [
+    "landscape",
+    "preferCSSPageSize",
+    "printBackground",
+    "outline",
+    "tagged",
+  ]) {
+    if (raw[key] === undefined) continue;
+    const b = parseBooleanOption(raw[key]);
+    if (b === undefined) {
+      errors.push({ field: `pdf.${key}`, message: "Expected a boolean" });
+    } else {
+      options[key] = b;
+    }
+  }
+
+  if (raw.scale !== undefined) {
+    const scale = Number(raw.scale);
+    if (
+      raw.scale === "" ||
+      !Number.isFinite(scale) ||
+      scale < 0.1 ||
+      scale > 2
+    ) {
+      errors.push({
+        field: "pdf.scale",
+        message: "Expected a number between 0.1 and 2",
+      });
+    } else {
+      options.scale = scale;
+    }
+  }
+
+  if (raw.pageRanges !== undefined) {
+    if (!parsePageRanges(raw.pageRanges)) {
+      errors.push({ field: "pdf.pageRanges", message: PAGE_RANGES_MESSAGE });
+    } else {
+      options.pageRanges = raw.pageRanges.trim();
+    }
+  }
+
+  if (raw.archival !== undefined) {
+    const archival =
+      typeof raw.archival === "string" &&
+      raw.archival.toUpperCase() === ARCHIVAL_STANDARD.toUpperCase()
+        ? true
+        : parseBooleanOption(raw.archival);
+    if (archival === undefined) {
+      errors.push({
+        field: "pdf.archival",
+        message: `Expected a boolean or "${ARCHIVAL_STANDARD}"`,
+      });
+    } else if (archival) {
+      options.archival = ARCHIVAL_STANDARD;
+      // Archival output is tagged unless the caller opts out
+      if (options.tagged === undefined) options.tagged = true;
+    }
+  }
+
+  const explicitMargins = new Set();
+  if (raw.margin !== undefined) {
+    // A single length applies to all sides; an object overrides individual sides
+    const margin =
+      raw.margin !== null && typeof raw.margin === "object"
+        ? raw.margin
+        : Object.fromEntries(MARGIN_SIDES.map((side) => [side, raw.margin]));
+    for (const key of Object.keys(margin)) {
+      if (!MARGIN_SIDES.includes(key)) {
+        errors.push({ field: `pdf.margin.${key}`, message: "Unknown side" });
+        continue;
+      }
+      const len = parseCssLength(margin[key]);
+      if (len === undefined) {
+        errors.push({
+          field: `pdf.margin.${key}`,
+          message: 'Expected a length (number of px or e.g. "10mm")',
+        });
+      } else {
+        options.margin[key] = len;
+        explicitMargins.add(key);
+      }
+    }
+  }
+
+  const templates = { headerTemplate: "top", footerTemplate: "bottom" };
+  for (const [key, side] of Object.entries(templates)) {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === "")
+      continue;
+    if (typeof raw[key] !== "string") {
+      errors.push({ field: `pdf.${key}`, message: "Expected an HTML string" });
+      continue;
+    }
+    if (Buffer.byteLength(raw[key], "utf8") > MAX_TEMPLATE_BYTES) {
+      errors.push({
+        field: `pdf.${key}`,
+        message: `Template exceeds ${MAX_TEMPLATE_BYTES} bytes`,
+      });
+      continue;
+    }
+    options.displayHeaderFooter = true;
+    options[key] = normalizeHeaderFooterTemplate(raw[key], options.margin);
+    // Make room for the template unless the caller sized this margin themselves
+    if (!explicitMargins.has(side)) options.margin[side] = HEADER_FOOTER_MARGIN;
+  }
+  if (options.displayHeaderFooter) {
+    // Chromium prints its own date/title/url for a missing template; blank it instead
+    for (const key of Object.keys(templates)) {
+      if (!options[key]) options[key] = "<span></span>";
+    }
+  }
+
+  return { options, errors };
+}
+
+// Expand {{pageNumber}}-style shorthands into the class-based spans Chromium fills in,
+// and give the fragment a readable default size and the body's side margins
+function normalizeHeaderFooterTemplate(template, margin) {
+  const re = new RegExp(
+    `\\{\\{\\s*(${TEMPLATE_PLACEHOLDERS.join("|")})\\s*\\}\\}`,
+    "g"
+  );
+  const body = template.replace(re, '<span class="$1"></span>');
+  const px = (len) => (typeof len === "number" ? `${len}px` : len);
+  const style = [
+    "box-sizing:border-box",
+    "width:100%",
+    "font-size:10px",
+    `padding:0 ${px(margin.right)} 0 ${px(margin.left)}`,
+    "-webkit-print-color-adjust:exact",
+  ].join(";");
+  return `<div style="${style}">${body}</div>`;
+}
+
+// Read PDF options from the JSON/urlencoded body ("pdf" object) or, for raw HTML
+// bodies, from the query string (?format=Letter&landscape=true&margin=0 or ?pdf[format]=...)
+function parsePdfOptions(req, res) {
+  let raw;
+  if (typeof req.body === "string") {
+    const q = req.query || {};
+    if (q.pdf && typeof q.pdf === "object") {
+      raw = q.pdf;
+    } else {
+      const picked = {};
+      for (const key of PDF_OPTION_KEYS) {
+        if (q[key] !== undefined) picked[key] = q[key];
+      }
+      raw = Object.keys(picked).length ? picked : undefined;
+    }
+  } else if (req.body && typeof req.body === "object") {
+    raw = req.body.pdf;
+    // These may also be sent next to "html" at the top level
+    const lifted = {};
+    for (const key of [
+      "headerTemplate",
+      "footerTemplate",
+      "tagged",
+      "archival",
+    ]) {
+      if (req.body[key] !== undefined) lifted[key] = req.body[key];
+    }
+    if (
+      Object.keys(lifted).length &&
+      (raw === undefined || (raw && typeof raw === "object"))
+    ) {
+      raw = { ...lifted, ...raw };
+    }
+  }
+
+  const { options, errors } = validatePdfOptions(raw);
+  if (options.archival && req.body && req.body.security !== undefined) {
+    errors.push({
+      field: "pdf.archival",
+      message: `${ARCHIVAL_STANDARD} does not allow encryption; drop "security"`,
+    });
+  }
+  if (errors.length) {
+    log.warn("invalid_pdf_options", { reqId: req.reqId, errors });
+    res.status(400).json({
+      error: "Invalid PDF options",
+      details: {
+        message:
+          'Send a "pdf" object in the JSON body (or query parameters for raw HTML bodies) with valid values.',
+        allowedKeys: PDF_OPTION_KEYS,
+        errors,
+      },
+    });
+    return null;
+  }
+  return options;
+}
+
+// --------------------------------------------------------------------------------------
+// Image options (for /generate-image/*)
+// --------------------------------------------------------------------------------------
+const IMAGE_FORMATS = ["png", "jpeg", "webp"];
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION || 4000);
+const DEFAULT_IMAGE_OPTIONS = {
+  format: "png",
+  width: 1280,
+  height: 800,
+  deviceScaleFactor: 1,
+  fullPage: false,
+  omitBackground: false,
+};
+const IMAGE_OPTION_KEYS = [
+  "format",
+  "quality",
+  "width",
+  "height",
+  "deviceScaleFactor",
+  "fullPage",
+  "selector",
+  "omitBackground",
+];
+
+// Validate a raw options object; returns { options, errors }
+function validateImageOptions(raw) {
+  const errors = [];
+  const options = { ...DEFAULT_IMAGE_OPTIONS };
+  if (raw === undefined || raw === null) return { options, errors };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field: "image", message: "Expected an object" });
+    return { options, errors };
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!IMAGE_OPTION_KEYS.includes(key)) {
+      errors.push({ field: `image.${key}`, message: "Unknown option" });
+    }
+  }
+
+  if (raw.format !== undefined) {
+    let fmt = typeof raw.format === "string" ? raw.format.toLowerCase() : "";
+    if (fmt === "jpg") fmt = "jpeg";
+    if (!IMAGE_FORMATS.includes(fmt)) {
+      errors.push({
+        field: "image.format",
+        message: `Expected one of ${IMAGE_FORMATS.join(", ")}`,
+      });
+    } else {
+      options.format = fmt;
+    }
+  }
+
+  if (raw.quality !== undefined) {
+    const quality = Number(raw.quality);
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      errors.push({
+        field: "image.quality",
+        message: "Expected an integer between 0 and 100",
+      });
+    } else if (options.format === "png") {
+      errors.push({
+        field: "image.quality",
+        message: "Quality applies to jpeg and webp only",
+      });
+    } else {
+      options.quality = quality;
+    }
+  }
+
+  for (const key of ["width", "height"]) {
+    if (raw[key] === undefined) continue;
+    const n = Number(raw[key]);
+    if (!Number.isInteger(n) || n < 1 || n > IMAGE_MAX_DIMENSION) {
+      errors.push({
+        field: `image.${key}`,
+        message: `Expected an integer between 1 and ${IMAGE_MAX_DIMENSION} (CSS px)`,
+      });
+    } else {
+      options[key] = n;
+    }
+  }
+
+  if (raw.deviceScaleFactor !== undefined) {
+    const dsf = Number(raw.deviceScaleFactor);
+    if (!Number.isFinite(dsf) || dsf < 0.1 || dsf > 4) {
+      errors.push({
+        field: "image.deviceScaleFactor",
+        message: "Expected a number between 0.1 and 4",
+      });
+    } else {
+      options.deviceScaleFactor = dsf;
+    }
+  }
+
+  for (const key of ["fullPage", "omitBackground"]) {
+    if (raw[key] === undefined) continue;
+    const b = parseBooleanOption(raw[key]);
+    if (b === undefined) {
+      errors.push({ field: `image.${key}`, message: "Expected a boolean" });
+    } else {
+      options[key] = b;
+    }
+  }
+
+  if (raw.selector !== undefined) {
+    if (typeof raw.selector !== "string" || raw.selector.trim() === "") {
+      errors.push({
+        field: "image.selector",
+        message: "Expected a non-empty CSS selector",
+      });
+    } else if (options.fullPage) {
+      errors.push({
+        field: "image.selector",
+        message: "Use either selector or fullPage, not both",
+      });
+    } else {
+      options.selector = raw.selector.trim();
+    }
+  }
+
+  return { options, errors };
+}
+
+// Read image options from the body ("image" object) or, for raw HTML bodies, the query string
+function parseImageOptions(req, res) {
+  let raw;
+  if (typeof req.body === "string") {
+    const q = req.query || {};
+    if (q.image && typeof q.image === "object") {
+      raw = q.image;
+    } else {
+      const picked = {};
+      for (const key of IMAGE_OPTION_KEYS) {
+        if (q[key] !== undefined) picked[key] = q[key];
+      }
+      raw = Object.keys(picked).length ? picked : undefined;
+    }
+  } else if (req.body && typeof req.body === "object") {
+    raw = req.body.image;
+  }
+
+  const { options, errors } = validateImageOptions(raw);
+  const page = typeof req.body === "string" ? req.query?.page : req.body?.page;
+  if (page && typeof page === "object" && page.viewport !== undefined) {
+    errors.push({
+      field: "page.viewport",
+      message:
+        "Screenshots are sized by image.width, height and deviceScaleFactor",
+    });
+  }
+  if (errors.length) {
+    log.warn("invalid_image_options", { reqId: req.reqId, errors });
+    res.status(400).json({
+      error: "Invalid image options",
+      details: {
+        message:
+          'Send an "image" object in the JSON body (or query parameters for raw HTML bodies) with valid values.',
+        allowedKeys: IMAGE_OPTION_KEYS,
+        errors,
+      },
+    });
+    return null;
+  }
+  return options;
+}
+
+// --------------------------------------------------------------------------------------
+// Page environment ("page" object): media type, viewport, timezone, locale, reduced motion,
+// readiness conditions to wait for before capture, and per-request phase timeouts
+// --------------------------------------------------------------------------------------
+// Default phase timeouts for synchronous requests; async jobs pass longer ones
+const RENDER_TIMEOUTS = {
+  content: envInt("RENDER_CONTENT_TIMEOUT_MS", 25000),
+  ready: envInt("RENDER_READY_TIMEOUT_MS", 10000),
+  pdf: envInt("RENDER_PDF_TIMEOUT_MS", 20000),
+};
+// Upper bounds for page.timeouts; requests asking for more are rejected
+const RENDER_TIMEOUT_LIMITS = {
+  content: envInt("RENDER_MAX_CONTENT_TIMEOUT_MS", 60000),
+  ready: envInt("RENDER_MAX_READY_TIMEOUT_MS", 30000),
+  pdf: envInt("RENDER_MAX_PDF_TIMEOUT_MS", 60000),
+};
+const RENDER_MAX_WAIT_DELAY_MS = envInt("RENDER_MAX_WAIT_DELAY_MS", 10000);
+const PAGE_MEDIA_TYPES = ["screen", "print"];
+const PAGE_OPTION_KEYS = [
+  "media",
+  "viewport",
+  "timezone",
+  "locale",
+  "reducedMotion",
+  "waitFor",
+  "timeouts",
+];
+const PAGE_WAIT_KEYS = ["selector", "renderReady", "fonts", "delay"];
+
+// Integer in [0, max], or undefined
+function boundedInt(value, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= max ? n : undefined;
+}
+
+// Validate a raw "page" object; returns { page, errors } with page null when none was sent
+function validatePageOptions(raw, field = "page") {
+  const errors = [];
+  if (raw === undefined || raw === null) return { page: null, errors };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field, message: "Expected an object" });
+    return { page: null, errors };
+  }
+  for (const key of Object.keys(raw)) {
+    if (!PAGE_OPTION_KEYS.includes(key)) {
+      errors.push({ field: `${field}.${key}`, message: "Unknown option" });
+    }
+  }
+  const page = {
+    media: "screen",
+    viewport: null,
+    timezone: null,
+    locale: null,
+    reducedMotion: false,
+    waitFor: null,
+    timeouts: {},
+  };
+
+  if (raw.media !== undefined) {
+    const media =
+      typeof raw.media === "string" ? raw.media.trim().toLowerCase() : "";
+    if (!PAGE_MEDIA_TYPES.includes(media)) {
+      errors.push({
+        field: `${field}.media`,
+        message: `Expected one of ${PAGE_MEDIA_TYPES.join(", ")}`,
+      });
+    } else {
+      page.media = media;
+    }
+  }
+
+  if (raw.viewport !== undefined) {
+    const vp = raw.viewport;
+    if (!vp || typeof vp !== "object" || Array.isArray(vp)) {
+      errors.push({
+        field: `${field}.viewport`,
+        message: "Expected { width, height, deviceScaleFactor }",
+      });
+    } else {
+      page.viewport = {
+        width: DEFAULT_IMAGE_OPTIONS.width,
+        height: DEFAULT_IMAGE_OPTIONS.height,
+        deviceScaleFactor: 1,
+      };
+      for (const key of ["width", "height"]) {
+        if (vp[key] === undefined) continue;
+        const n = Number(vp[key]);
+        if (!Number.isInteger(n) || n < 1 || n > IMAGE_MAX_DIMENSION) {
+          errors.push({
+            field: `${field}.viewport.${key}`,
+            message: `Expected an integer between 1 and ${IMAGE_MAX_DIMENSION} (CSS px)`,
+          });
+        } else {
+          page.viewport[key] = n;
+        }
+      }
+      if (vp.deviceScaleFactor !== undefined) {
+        const dsf = Number(vp.deviceScaleFactor);
+        if (!Number.isFinite(dsf) || dsf < 0.1 || dsf > 4) {
+          errors.push({
+            field: `${field}.viewport.deviceScaleFactor`,
+            message: "Expected a number between 0.1 and 4",
+          });
+        } else {
+          page.viewport.deviceScaleFactor = dsf;
+        }
+      }
+    }
+  }
+
+  if (raw.timezone !== undefined) {
+    try {
+      if (typeof raw.timezone !== "string" || !raw.timezone.trim()) {
+        throw new RangeError();
+      }
+      // Throws RangeError for zones ICU does not know
+      new Intl.DateTimeFormat("en-US", { timeZone: raw.timezone.trim() });
+      page.timezone = raw.timezone.trim();
+    } catch (_) {
+      errors.push({
+        field: `${field}.timezone`,
+        message: 'Expected an IANA time zone such as "Europe/Berlin"',
+      });
+    }
+  }
+
+  if (raw.locale !== undefined) {
+    try {
+      if (typeof raw.locale !== "string" || !raw.locale.trim()) {
+        throw new RangeError();
+      }
+      page.locale = Intl.getCanonicalLocales(raw.locale.trim())[0];
+    } catch (_) {
+      errors.push({
+        field: `${field}.locale`,
+        message: 'Expected a BCP 47 language tag such as "de-DE"',
+      });
+    }
+  }
+
+  if (raw.reducedMotion !== undefined) {
+    const b = parseBooleanOption(raw.reducedMotion);
+    if (b === undefined) {
+      errors.push({
+        field: `${field}.reducedMotion`,
+        message: "Expected a boolean",
+      });
+    } else {
+      page.reducedMotion = b;
+    }
+  }
+
+  if (raw.waitFor !== undefined) {
+    const wf = raw.waitFor;
+    if (!wf || typeof wf !== "object" || Array.isArray(wf)) {
+      errors.push({
+        field: `${field}.waitFor`,
+        message: `Expected an object with ${PAGE_WAIT_KEYS.join(", ")}`,
+      });
+    } else {
+      const waitFor = {
+        selector: null,
+        renderReady: false,
+        fonts: false,
+        delay: 0,
+      };
+      for (const key of Object.keys(wf)) {
+        if (!PAGE_WAIT_KEYS.includes(key)) {
+          errors.push({
+            field: `${field}.waitFor.${key}`,
+            message: "Unknown option",
+          });
+        }
+      }
+      if (wf.selector !== undefined) {
+        if (typeof wf.selector !== "string" || wf.selector.trim() === "") {
+          errors.push({
+            field: `${field}.waitFor.selector`,
+            message: "Expected a non-empty CSS selector",
+          });
+        } else {
+          waitFor.selector = wf.selector.trim();
+        }
+      }
+      for (const key of ["renderReady", "fonts"]) {
+        if (wf[key] === undefined) continue;
+        const b = parseBooleanOption(wf[key]);
+        if (b === undefined) {
+          errors.push({
+            field: `${field}.waitFor.${key}`,
+            message: "Expected a boolean",
+          });
+        } else {
+          waitFor[key] = b;
+        }
+      }
+      if (wf.delay !== undefined) {
+        const delay = boundedInt(wf.delay, RENDER_MAX_WAIT_DELAY_MS);
+        if (delay === undefined) {
+          errors.push({
+            field: `${field}.waitFor.delay`,
+            message: `Expected milliseconds between 0 and ${RENDER_MAX_WAIT_DELAY_MS}`,
+          });
+        } else {
+          waitFor.delay = delay;
+        }
+      }
+      page.waitFor = waitFor;
+    }
+  }
+
+  if (raw.timeouts !== undefined) {
+    const t = raw.timeouts;
+    if (!t || typeof t !== "object" || Array.isArray(t)) {
+      errors.push({
+        field: `${field}.timeouts`,
+        message: "Expected { content, ready, pdf } in milliseconds",
+      });
+    } else {
+      for (const key of Object.keys(t)) {
+        if (!Object.hasOwn(RENDER_TIMEOUT_LIMITS, key)) {
+          errors.push({
+            field: `${field}.timeouts.${key}`,
+            message: "Unknown option",
+          });
+          continue;
+        }
+        const max = RENDER_TIMEOUT_LIMITS[key];
+        const ms = boundedInt(t[key], max);
+        if (!ms) {
+          errors.push({
+            field: `${field}.timeouts.${key}`,
+            message: `Expected milliseconds between 1 and ${max} (server maximum)`,
+          });
+        } else {
+          page.timeouts[key] = ms;
+        }
+      }
+    }
+  }
+
+  return { page, errors };
+}
+
+// Read "page" from a JSON body (or page[...] query parameters for raw HTML bodies); returns
+// the page options (null when none were sent), or undefined after responding with 400
+function parsePageOptions(req, res) {
+  const raw =
+    typeof req.body === "string"
+      ? req.query && req.query.page
+      : req.body && typeof req.body === "object"
+      ? req.body.page
+      : undefined;
+  const { page, errors } = validatePageOptions(raw);
+  if (errors.length) {
+    log.warn("invalid_page_options", { reqId: req.reqId, errors });
+    res.status(400).json({
+      error: "Invalid page options",
+      details: {
+        message:
+          'Send "page" as { media, viewport, timezone, locale, reducedMotion, waitFor: { selector, renderReady, fonts, delay }, timeouts: { content, ready, pdf } }.',
+        allowedKeys: PAGE_OPTION_KEYS,
+        limits: {
+          timeouts: RENDER_TIMEOUT_LIMITS,
+          delay: RENDER_MAX_WAIT_DELAY_MS,
+        },
+        errors,
+      },
+    });
+    return undefined;
+  }
+  return page;
+}
+
+// Per-request timeouts override the server's (or the job runner's) defaults
+function effectiveTimeouts(timeouts, source) {
+  return { ...timeouts, ...(source.page && source.page.timeouts) };
+}
+
+// Applied before the content loads so media queries, Intl and Date see it from the start
+async function applyPageEnvironment(page, env, reqId) {
+  const media = env ? env.media : "screen";
+  await page.emulateMediaType(media);
+  if (!env) return;
+  const applied = [`media=${media}`];
+  if (env.viewport) {
+    await page.setViewport(env.viewport);
+    applied.push(`viewport=${env.viewport.width}x${env.viewport.height}`);
+  }
+  if (env.timezone) {
+    await page.emulateTimezone(env.timezone);
+    applied.push(`timezone=${env.timezone}`);
+  }
+  if (env.locale) {
+    // Covers Intl defaults, navigator.language(s) and the Accept-Language header
+    const session = await page.createCDPSession();
+    await session.send("Emulation.setLocaleOverride", { locale: env.locale });
+    await session.send("Emulation.setUserAgentOverride", {
+      userAgent: await page.browser().userAgent(),
+      acceptLanguage: env.locale,
+    });
+    applied.push(`locale=${env.locale}`);
+  }
+  if (env.reducedMotion) {
+    await page.emulateMediaFeatures([
+      { name: "prefers-reduced-motion", value: "reduce" },
+    ]);
+    applied.push("reducedMotion");
+  }
+  console.log(`[${reqId}] [render] Page environment: ${applied.join(", ")}`);
+}
+
+// Wait for the page to declare itself ready: web fonts loaded, a selector present,
+// window.renderReady === true, then an optional fixed delay. Pages always wait for fonts
+// while any are registered.
+async function waitForPageReady(page, waitFor, timeouts, reqId) {
+  waitFor = { ...waitFor, fonts: Boolean(waitFor?.fonts || fonts.size) };
+  const conditions = [];
+  if (waitFor.fonts) conditions.push("fonts");
+  if (waitFor.selector) conditions.push(`selector=${waitFor.selector}`);
+  if (waitFor.renderReady) conditions.push("window.renderReady");
+  if (conditions.length) {
+    console.log(
+      `[${reqId}] [render] Waiting for ${conditions.join(", ")} (timeout=${
+        timeouts.ready
+      }ms)`
+    );
+    await withRenderTimeout(
+      timePhase(
+        "ready",
+        (async () => {
+          if (waitFor.fonts) {
+            await page.evaluate(() => document.fonts.ready.then(() => true));
+          }
+          if (waitFor.selector) {
+            await page.waitForSelector(waitFor.selector, {
+              timeout: timeouts.ready,
+            });
+          }
+          if (waitFor.renderReady) {
+            await page.waitForFunction("window.renderReady === true", {
+              polling: 100,
+              timeout: timeouts.ready,
+            });
+          }
+        })()
+      ),
+      timeouts.ready,
+      `Timed out waiting for ${conditions.join(", ")}`,
+      "READY_TIMEOUT"
+    );
+  }
+  if (waitFor.delay) {
+    console.log(`[${reqId}] [render] Waiting ${waitFor.delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, waitFor.delay));
+  }
+}
+
+// --------------------------------------------------------------------------------------
+// Fonts: uploaded TTF/OTF/WOFF2 files served to every page from a virtual origin, so
+// output does not depend on the fonts installed next to Chromium. HTML sources get
+// @font-face rules in their <head>; URL sources get the same faces through the FontFace API.
+// --------------------------------------------------------------------------------------
+const FONTS_DIR = process.env.FONTS_DIR
+  ? path.resolve(process.env.FONTS_DIR)
+  : null;
+// https so pages loaded over https may use the fonts (no mixed content)
+const FONT_ORIGIN = "https://fonts.local";
+const FONT_FAMILY_RE = /^[\p{L}\p{N} _-]{1,64}$/u;
+const FONT_STYLES = ["normal", "italic"];
+const FONT_CHECK_TIMEOUT_MS = 5000;
+// Sniffed from the file's first four bytes
+const FONT_FORMATS = {
+  ttf: { contentType: "font/ttf", css: "truetype" },
+  otf: { contentType: "font/otf", css: "opentype" },
+  woff2: { contentType: "font/woff2", css: "woff2" },
+};
+
+const fonts = new Map();
+// Changes whenever the registry does; part of the render cache key
+let fontsDigest = null;
+
+function sniffFontFormat(data) {
+  if (data.length < 4) return null;
+  const magic = data.toString("latin1", 0, 4);
+  if (magic === "\x00\x01\x00\x00" || magic === "true") return "ttf";
+  if (magic === "OTTO") return "otf";
+  if (magic === "wOF2") return "woff2";
+  return null;
+}
+
+function fontId(family, weight, style) {
+  const slug =
+    family
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || sha256Hex(family).slice(0, 12);
+  return `${slug}-${weight}-${style}`;
+}
+
+function fontFile(id, format) {
+  return path.join(FONTS_DIR, `${id}.${format}`);
+}
+
+function registerFont({ family, weight, style, format, data, createdAt }) {
+  const id = fontId(family, weight, style);
+  const record = {
+    id,
+    family,
+    weight,
+    style,
+    format,
+    data,
+    bytes: data.length,
+    sha256: sha256Hex(data),
+    createdAt: createdAt || new Date().toISOString(),
+  };
+  fonts.set(id, record);
+  updateFontsDigest();
+  return record;
+}
+
+function updateFontsDigest() {
+  fontsDigest = fonts.size
+    ? sha256Hex(
+        Array.from(fonts.values(), (f) => `${f.id}:${f.sha256}`)
+          .sort()
+          .join("\n")
+      )
+    : null;
+}
+
+function fontInfo(record) {
+  const { data: _data, ...info } = record;
+  return info;
+}
+
+function loadStoredFonts() {
+  if (!FONTS_DIR) return;
+  fs.mkdirSync(FONTS_DIR, { recursive: true });
+  for (const file of fs.readdirSync(FONTS_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const meta = JSON.parse(
+        fs.readFileSync(path.join(FONTS_DIR, file), "utf8")
+      );
+      registerFont({
+        ...meta,
+        data: fs.readFileSync(fontFile(meta.id, meta.format)),
+      });
+    } catch (err) {
+      log.error("font_load_error", { file, error: err?.message });
+    }
+  }
+  log.info("fonts_loaded", { count: fonts.size, dir: FONTS_DIR });
+}
+
+// Validate a POST /fonts body (multipart with one font file, or JSON with "base64");
+// returns the font fields or null after a 400
+function ensureFontUpload(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const errors = [];
+  let data = null;
+  const files = Object.values(body.assets || {});
+  if (files.length > 1) {
+    errors.push({ field: "file", message: "Upload one font file per request" });
+  } else if (files.length === 1) {
+    data = Buffer.from(files[0].data, "base64");
+  } else if (typeof body.base64 === "string" && body.base64) {
+    data = Buffer.from(body.base64, "base64");
+  } else {
+    errors.push({
+      field: "file",
+      message: 'Expected a multipart file part or a "base64" string',
+    });
+  }
+  const format = data ? sniffFontFormat(data) : null;
+  if (data && !format) {
+    errors.push({
+      field: "file",
+      message: "Expected a TTF, OTF or WOFF2 font file",
+    });
+  }
+  const family = typeof body.family === "string" ? body.family.trim() : "";
+  if (!FONT_FAMILY_RE.test(family)) {
+    errors.push({
+      field: "family",
+      message: "Expected 1-64 letters, digits, spaces, '_' or '-'",
+    });
+  }
+  const weight =
+    body.weight === undefined || body.weight === "" ? 400 : Number(body.weight);
+  if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+    errors.push({
+      field: "weight",
+      message: "Expected an integer from 1 to 1000",
+    });
+  }
+  const style =
+    body.style === undefined || body.style === "" ? "normal" : body.style;
+  if (!FONT_STYLES.includes(style)) {
+    errors.push({
+      field: "style",
+      message: `Expected one of ${FONT_STYLES.join(", ")}`,
+    });
+  }
+  if (errors.length) {
+    res.status(400).json({
+      error: "Invalid font",
+      details: {
+        message:
+          'Send multipart with a "file" part plus "family" (and optional "weight", "style") fields, or JSON { "family": "Inter", "weight": 700, "style": "normal", "base64": "..." }.',
+        errors,
+      },
+    });
+    return null;
+  }
+  return { family, weight, style, format, data };
+}
+
+// @font-face rules for every registered font; browsers only fetch the faces a page uses
+function fontFaceCss() {
+  return Array.from(
+    fonts.values(),
+    (f) =>
+      `@font-face{font-family:"${f.family}";src:url("${FONT_ORIGIN}/${
+        f.id
+      }") format("${FONT_FORMATS[f.format].css}");font-weight:${
+        f.weight
+      };font-style:${f.style};font-display:block}`
+  ).join("\n");
+}
+
+// Put the rules first in <head> so the page's own @font-face rules still win
+function withFontFaces(html) {
+  if (!fonts.size) return html;
+  const style = `<style data-font-registry>\n${fontFaceCss()}\n</style>`;
+  const anchor =
+    /<head\b[^>]*>/i.exec(html) ||
+    /<html\b[^>]*>/i.exec(html) ||
+    /<!doctype[^>]*>/i.exec(html);
+  if (!anchor) return style + html;
+  const at = anchor.index + anchor[0].length;
+  return html.slice(0, at) + style + html.slice(at);
+}
+
+// URL sources: their HTML never passes through here, so add the faces to each new document
+async function addFontFacesOnNewDocument(page) {
+  if (!fonts.size) return;
+  const faces = Array.from(fonts.values(), (f) => ({
+    family: f.family,
+    source: `url("${FONT_ORIGIN}/${f.id}") format("${
+      FONT_FORMATS[f.format].css
+    }")`,
+    weight: String(f.weight),
+    style: f.style,
+  }));
+  await page.evaluateOnNewDocument((list) => {
+    for (const { family, source, weight, style } of list) {
+      document.fonts.add(
+        new FontFace(family, source, { weight, style, display: "block" })
+      );
+    }
+  }, faces);
+}
+
+// Answer an intercepted request for FONT_ORIGIN/<id>; font loads are CORS requests
+async function respondWithFont(request, url, report) {
+  const font = fonts.get(url.pathname.slice(1));
+  const headers = { "Access-Control-Allow-Origin": "*" };
+  if (!font) {
+    report.failed.push({ url: request.url(), reason: "Unknown font" });
+    return request.respond({ status: 404, headers, body: "" });
+  }
+  return request.respond({
+    status: 200,
+    contentType: FONT_FORMATS[font.format].contentType,
+    headers,
+    body: font.data,
+  });
+}
+
+// debug=true: warn about font families the page asks for that are neither registered nor
+// installed (text set in them measures the same as in two different fallbacks)
+async function reportMissingFonts(page, trace) {
+  if (!trace || page.isClosed()) return;
+  const registered = Array.from(fonts.values(), (f) => f.family.toLowerCase());
+  try {
+    const missing = await withTimeout(
+      page.evaluate((known) => {
+        const generic = new Set([
+          "serif",
+          "sans-serif",
+          "monospace",
+          "cursive",
+          "fantasy",
+          "system-ui",
+          "ui-serif",
+          "ui-sans-serif",
+          "ui-monospace",
+          "ui-rounded",
+          "emoji",
+          "math",
+          "fangsong",
+          "inherit",
+          "initial",
+        ]);
+        const families = new Set();
+        for (const el of Array.from(document.querySelectorAll("*")).slice(
+          0,
+          5000
+        )) {
+          for (const part of getComputedStyle(el).fontFamily.split(",")) {
+            const name = part.trim().replace(/^["']|["']$/g, "");
+            const key = name.toLowerCase();
+            if (name && !generic.has(key) && !known.includes(key)) {
+              families.add(name);
+            }
+          }
+        }
+        const ctx = document.createElement("canvas").getContext("2d");
+        const sample = "mmmmmmmmmmlli10OQW@#";
+        const width = (font) => {
+          ctx.font = font;
+          return ctx.measureText(sample).width;
+        };
+        return Array.from(families).filter((name) =>
+          ["monospace", "serif"].every(
+            (fallback) =>
+              width(`72px "${name}", ${fallback}`) === width(`72px ${fallback}`)
+          )
+        );
+      }, registered),
+      FONT_CHECK_TIMEOUT_MS,
+      "Timed out while checking fonts"
+    );
+    for (const family of missing) {
+      traceAdd(trace, "warnings", {
+        type: "missing_font",
+        family,
+        message: `Font family "${family}" is not registered or installed; a fallback font was used`,
+      });
+    }
+  } catch (_) {}
+}
+
+app.get("/fonts", (req, res) => {
+  res.json({ fonts: Array.from(fonts.values(), fontInfo) });
+});
+
+app.post("/fonts", async (req, res) => {
+  if (!requireAdminKey(req, res)) return;
+  const upload = ensureFontUpload(req, res);
+  if (upload === null) return;
+  const id = fontId(upload.family, upload.weight, upload.style);
+  if (fonts.has(id)) {
+    return res.status(409).json({
+      error: "Font already exists",
+      details: { id, use: `DELETE /fonts/${id} first to replace it` },
+    });
+  }
+  const record = registerFont(upload);
+  if (FONTS_DIR) {
+    try {
+      await fs.promises.writeFile(fontFile(id, record.format), record.data);
+      await fs.promises.writeFile(
+        path.join(FONTS_DIR, `${id}.json`),
+        JSON.stringify(fontInfo(record), null, 2)
+      );
+    } catch (err) {
+      fonts.delete(id);
+      updateFontsDigest();
+      log.error("font_store_error", { reqId: req.reqId, id });
+      return res.status(500).json({
+        error: "Failed to store font",
+        details: err.message,
+      });
+    }
+  }
+  log.info("font_saved", {
+    reqId: req.reqId,
+    id,
+    family: record.family,
+    format: record.format,
+    bytes: record.bytes,
+  });
+  res.status(201).json(fontInfo(record));
+});
+
+app.delete("/fonts/:id", async (req, res) => {
+  if (!requireAdminKey(req, res)) return;
+  const record = fonts.get(req.params.id);
+  if (!record) return res.status(404).json({ error: "Font not found" });
+  fonts.delete(record.id);
+  updateFontsDigest();
+  if (FONTS_DIR) {
+    for (const file of [
+      fontFile(record.id, record.format),
+      path.join(FONTS_DIR, `${record.id}.json`),
+    ]) {
+      try {
+        await fs.promises.unlink(file);
+      } catch (_) {}
+    }
+  }
+  log.info("font_deleted", { reqId: req.reqId, id: record.id });
+  res.status(204).end();
+});
+
+// --------------------------------------------------------------------------------------
+// Markdown input: GFM -> HTML with highlighted code blocks and a built-in or caller stylesheet
+// --------------------------------------------------------------------------------------
+const markdownParser = new Marked(
+  { gfm: true },
+  markedHighlight({
+    langPrefix: "hljs language-",
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : "plaintext";
+      return hljs.highlight(code, { language }).value;
+    },
+  })
+);
+const HIGHLIGHT_CSS = fs.readFileSync(
+  require.resolve("highlight.js/styles/github.css"),
+  "utf8"
+);
+const MARKDOWN_BASE_CSS = `
+  body { margin: 0; line-height: 1.55; color: #1f2328; }
+  h1, h2, h3, h4, h5, h6 { margin: 1.4em 0 0.6em; line-height: 1.25; break-after: avoid; }
+  h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+  img { max-width: 100%; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #d1d9e0; padding: 6px 12px; }
+  tr, img, pre { break-inside: avoid; }
+  pre { padding: 12px 16px; border-radius: 6px; background: #f6f8fa; white-space: pre-wrap; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+  :not(pre) > code { padding: 0.15em 0.35em; border-radius: 4px; background: #eff1f3; }
+  blockquote { margin: 1em 0; padding: 0 1em; color: #59636e; border-left: 4px solid #d1d9e0; }
+`;
+const MARKDOWN_THEMES = {
+  github: `body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 11pt; }${MARKDOWN_BASE_CSS}${HIGHLIGHT_CSS}`,
+  document: `body { font-family: Georgia, "Times New Roman", serif; font-size: 11.5pt; text-align: justify; }${MARKDOWN_BASE_CSS}h1, h2 { border-bottom: none; }${HIGHLIGHT_CSS}`,
+  none: "",
+};
+const DEFAULT_MARKDOWN_THEME = "github";
+const MAX_MARKDOWN_CSS_BYTES = 256 * 1024;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Validate theme/css; returns { options: { theme, css }, errors }
+function validateMarkdownOptions(raw) {
+  const errors = [];
+  const options = { theme: DEFAULT_MARKDOWN_THEME, css: "" };
+  if (raw.theme !== undefined) {
+    if (!Object.hasOwn(MARKDOWN_THEMES, raw.theme)) {
+      errors.push({
+        field: "theme",
+        message: `Expected one of ${Object.keys(MARKDOWN_THEMES).join(", ")}`,
+      });
+    } else {
+      options.theme = raw.theme;
+    }
+  }
+  if (raw.css !== undefined) {
+    if (typeof raw.css !== "string") {
+      errors.push({ field: "css", message: "Expected a CSS string" });
+    } else if (Buffer.byteLength(raw.css, "utf8") > MAX_MARKDOWN_CSS_BYTES) {
+      errors.push({
+        field: "css",
+        message: `Stylesheet exceeds ${MAX_MARKDOWN_CSS_BYTES} bytes`,
+      });
+    } else {
+      options.css = raw.css;
+    }
+  }
+  return { options, errors };
+}
+
+// Build a standalone HTML document; the first heading becomes the <title> (used by
+// header/footer templates)
+function renderMarkdownDocument(text, { theme, css }) {
+  const heading = markdownParser.lexer(text).find((t) => t.type === "heading");
+  const title = heading ? heading.text.replace(/[*_`~]/g, "") : "";
+  // parse() (not lexer + parser) so the highlight extension's token walk runs
+  const body = markdownParser.parse(text);
+  // Closing tags inside caller CSS would end the <style> element early
+  const styles = `${MARKDOWN_THEMES[theme]}\n${css}`.replace(
+    /<\/style/gi,
+    "<\\/style"
+  );
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${styles}</style>
+</head>
+<body class="markdown-body">
+${body}
+</body>
+</html>`;
+}
+
+// --------------------------------------------------------------------------------------
+// URL input policy (SSRF guard): schemes, host allow/deny lists, private networks
+// --------------------------------------------------------------------------------------
+function envList(name, fallback = "") {
+  return (process.env[name] || fallback)
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+const URL_ALLOWED_SCHEMES = envList("URL_ALLOWED_SCHEMES", "http,https").map(
+  (s) => s.replace(/:$/, "")
+);
+// Host patterns: "example.com" matches exactly, "*.example.com" matches subdomains
+const URL_ALLOWED_HOSTS = envList("URL_ALLOWED_HOSTS");
+const URL_DENIED_HOSTS = envList("URL_DENIED_HOSTS");
+const URL_ALLOW_PRIVATE_NETWORKS =
+  parseBooleanOption(process.env.URL_ALLOW_PRIVATE_NETWORKS || "") === true;
+const URL_DEFAULT_TIMEOUT_MS = Number(process.env.URL_TIMEOUT_MS || 25000);
+const URL_MAX_TIMEOUT_MS = Number(process.env.URL_MAX_TIMEOUT_MS || 60000);
+const URL_WAIT_UNTIL = [
+  "load",
+  "domcontentloaded",
+  "networkidle0",
+  "networkidle2",
+];
+
+// Loopback, RFC1918, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_NETWORKS.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(addr, prefix, "ipv6");
+}
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return PRIVATE_NETWORKS.check(ip, "ipv4");
+  if (family !== 6) return false;
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1 or ::ffff:7f00:1) must be judged as IPv4
+  const mapped = ip.toLowerCase().match(/^::ffff:(.+)$/);
+  if (mapped) {
+    if (net.isIP(mapped[1]) === 4) return isPrivateAddress(mapped[1]);
+    const hex = mapped[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+      const hi = parseInt(hex[1], 16);
+      const lo = parseInt(hex[2], 16);
+      return isPrivateAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join("."));
+    }
+  }
+  return PRIVATE_NETWORKS.check(ip, "ipv6");
+}
+
+function hostMatches(host, patterns) {
+  return patterns.some((p) =>
+    p.startsWith("*.") ? host.endsWith(p.slice(1)) : host === p
+  );
+}
+
+// Resolve a URL against the configured policy; returns { ok, url } or { ok: false, reason }
+async function checkUrlPolicy(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (_) {
+    return { ok: false, reason: "Invalid URL" };
+  }
+  const scheme = url.protocol.replace(/:$/, "");
+  if (!URL_ALLOWED_SCHEMES.includes(scheme)) {
+    return { ok: false, reason: `Scheme "${scheme}" is not allowed` };
+  }
+  if (scheme !== "http" && scheme !== "https") return { ok: true, url };
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (hostMatches(host, URL_DENIED_HOSTS)) {
+    return { ok: false, reason: `Host "${host}" is denied` };
+  }
+  if (URL_ALLOWED_HOSTS.length && !hostMatches(host, URL_ALLOWED_HOSTS)) {
+    return { ok: false, reason: `Host "${host}" is not in the allow list` };
+  }
+  if (URL_ALLOW_PRIVATE_NETWORKS) return { ok: true, url };
+
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return { ok: false, reason: "Private network targets are not allowed" };
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return { ok: false, reason: `Could not resolve host "${host}"` };
+  }
+  if (addresses.some((a) => isPrivateAddress(a.address))) {
+    return { ok: false, reason: "Private network targets are not allowed" };
+  }
+  return { ok: true, url };
+}
+
+// checkUrlPolicy resolves the host once; the connection made later resolves it again, and a
+// DNS-rebinding host can answer with an internal address the second time. These close that
+// gap: outgoing requests from Node connect through policyLookup, and page loads are checked
+// against the address each response actually came from.
+function policyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address }];
+    if (
+      !URL_ALLOW_PRIVATE_NETWORKS &&
+      list.some((a) => isPrivateAddress(a.address))
+    ) {
+      const blocked = new Error(
+        `Host "${hostname}" resolved to a private network address`
+      );
+      blocked.code = "URL_NOT_ALLOWED";
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST through policyLookup; resolves with the HTTP status (redirects are not followed)
+function postWithPolicy(url, headers, body, timeoutMs) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: policyLookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function assertConnectedAddresses(resources) {
+  if (!resources || !resources.privateAddress) return;
+  const { url, ip } = resources.privateAddress;
+  const err = new Error(
+    `Private network targets are not allowed (${url} was served from ${ip})`
+  );
+  err.status = 400;
+  err.code = "URL_NOT_ALLOWED";
+  throw err;
+}
+
+// --------------------------------------------------------------------------------------
+// Network control: per-request allow/deny URL patterns, an offline mode, extra headers or
+// cookies for allowed hosts, and inline assets served from a virtual origin
+// --------------------------------------------------------------------------------------
+// Inline assets (and the HTML itself, when assets are attached) are served from here so
+// relative references like <img src="logo.png"> resolve without touching the network
+const ASSET_ORIGIN = "http://assets.local";
+const NETWORK_MODES = ["default", "none"];
+const NETWORK_REPORT_HEADER_MAX = 4096;
+const ASSET_CONTENT_TYPES = {
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".html": "text/html",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".json": "application/json",
+};
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const RESERVED_HEADERS = ["host", "cookie", "content-length"];
+
+function assetContentType(name) {
+  return (
+    ASSET_CONTENT_TYPES[path.extname(name).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+// Asset names are paths under the virtual origin: "logo.png", "fonts/Inter.woff2"
+function normalizeAssetName(name) {
+  const clean = String(name).replace(/^(\.?\/)+/, "");
+  if (
+    !clean ||
+    !/^[\w.\-/ ]+$/.test(clean) ||
+    clean.split("/").some((part) => part === "..")
+  ) {
+    return null;
+  }
+  return clean;
+}
+
+// "*" matches anything. Patterns with a scheme match the whole URL, others the hostname:
+// "https://cdn.example.com/fonts/*", "*.doubleclick.net", "fonts.gstatic.com"
+function compileUrlPattern(pattern) {
+  const regex = new RegExp(
+    "^" +
+      pattern
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*") +
+      "$",
+    "i"
+  );
+  const wholeUrl = pattern.includes("://");
+  return (url) => {
+    if (wholeUrl) return regex.test(url.href);
+    return regex.test(url.hostname.replace(/^\[|\]$/g, ""));
+  };
+}
+
+// Returns { network, errors }; network is null when nothing was requested. Assets keep
+// their base64 form so the source stays JSON-serializable (async jobs store it).
+function validateNetworkOptions(raw, rawAssets) {
+  const errors = [];
+  if (raw === undefined && rawAssets === undefined) {
+    return { network: null, errors };
+  }
+  if (raw === undefined) raw = {};
+  if (raw === "none") raw = { mode: "none" };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({
+      field: "network",
+      message: 'Expected an object (or "none")',
+    });
+    return { network: null, errors };
+  }
+
+  const network = { mode: "default", allow: [], deny: [], headers: {} };
+  network.cookies = {};
+  network.assets = {};
+  for (const key of Object.keys(raw)) {
+    if (!["mode", "allow", "deny", "headers", "cookies"].includes(key)) {
+      errors.push({ field: `network.${key}`, message: "Unknown option" });
+    }
+  }
+  if (raw.mode !== undefined) {
+    if (!NETWORK_MODES.includes(raw.mode)) {
+      errors.push({
+        field: "network.mode",
+        message: `Expected one of ${NETWORK_MODES.join(", ")}`,
+      });
+    } else {
+      network.mode = raw.mode;
+    }
+  }
+  for (const key of ["allow", "deny"]) {
+    if (raw[key] === undefined) continue;
+    const list = typeof raw[key] === "string" ? [raw[key]] : raw[key];
+    if (
+      !Array.isArray(list) ||
+      list.some((p) => typeof p !== "string" || p.trim() === "")
+    ) {
+      errors.push({
+        field: `network.${key}`,
+        message: "Expected an array of non-empty URL or host patterns",
+      });
+    } else {
+      network[key] = list.map((p) => p.trim());
+    }
+  }
+  for (const key of ["headers", "cookies"]) {
+    const value = raw[key];
+    if (value === undefined) continue;
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      errors.push({
+        field: `network.${key}`,
+        message: "Expected an object of string values",
+      });
+      continue;
+    }
+    for (const [name, v] of Object.entries(value)) {
+      const field = `network.${key}.${name}`;
+      if (typeof v !== "string" || /[\r\n]/.test(v)) {
+        errors.push({ field, message: "Expected a single-line string" });
+      } else if (key === "headers" && !HEADER_NAME.test(name)) {
+        errors.push({ field, message: "Invalid header name" });
+      } else if (
+        key === "headers" &&
+        RESERVED_HEADERS.includes(name.toLowerCase())
+      ) {
+        errors.push({
+          field,
+          message:
+            name.toLowerCase() === "cookie"
+              ? 'Use "network.cookies" instead'
+              : "Header cannot be overridden",
+        });
+      } else if (key === "cookies" && !/^[^\s;=,]+$/.test(name)) {
+        errors.push({ field, message: "Invalid cookie name" });
+      } else if (key === "cookies" && /[;,]/.test(v)) {
+        errors.push({ field, message: "Cookie values cannot contain ; or ," });
+      } else {
+        network[key][name] = v;
+      }
+    }
+  }
+  // Credentials only ever go to hosts the caller explicitly allowed
+  if (
+    (Object.keys(network.headers).length ||
+      Object.keys(network.cookies).length) &&
+    !network.allow.length
+  ) {
+    errors.push({
+      field: "network.allow",
+      message: "Extra headers and cookies require an allow list",
+    });
+  }
+
+  if (rawAssets !== undefined) {
+    if (
+      !rawAssets ||
+      typeof rawAssets !== "object" ||
+      Array.isArray(rawAssets)
+    ) {
+      errors.push({
+        field: "assets",
+        message: "Expected an object of name -> base64 string",
+      });
+    } else {
+      for (const [rawName, value] of Object.entries(rawAssets)) {
+        const field = `assets.${rawName}`;
+        const name = normalizeAssetName(rawName);
+        const entry = typeof value === "string" ? { data: value } : value || {};
+        if (!name) {
+          errors.push({ field, message: "Invalid asset name" });
+        } else if (
+          typeof entry.data !== "string" ||
+          !/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(entry.data)
+        ) {
+          errors.push({
+            field,
+            message:
+              'Expected base64 data (a string or { "data", "contentType" })',
+          });
+        } else if (
+          entry.contentType !== undefined &&
+          (typeof entry.contentType !== "string" ||
+            !/^[\w.+-]+\/[\w.+-]+(\s*;.*)?$/.test(entry.contentType))
+        ) {
+          errors.push({
+            field: `${field}.contentType`,
+            message: "Expected a MIME type",
+          });
+        } else {
+          network.assets[name] = {
+            data: entry.data.replace(/\s+/g, ""),
+            contentType: entry.contentType || assetContentType(name),
+          };
+        }
+      }
+    }
+  }
+  return { network, errors };
+}
+
+// Read "network" and "assets" from a JSON body; returns the network options (or null when
+// none were sent), or undefined after responding with 400
+function parseNetworkOptions(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const { network, errors } = validateNetworkOptions(body.network, body.assets);
+  if (errors.length) {
+    log.warn("invalid_network_options", { reqId: req.reqId, errors });
+    res.status(400).json({
+      error: "Invalid network options",
+      details: {
+        message:
+          'Send "network" as { mode, allow, deny, headers, cookies } and "assets" as { "name": "<base64>" }.',
+        errors,
+      },
+    });
+    return undefined;
+  }
+  return network;
+}
+
+// Intercept every request the page makes. URL sources are re-checked against the URL
+// policy (redirects, frames, subresources) so a public page cannot pull the renderer onto
+// an internal address after the initial check; per-request network options apply on top.
+// Returns a report of blocked and failed loads, filled in while the page renders.
+async function controlPageRequests(page, source, reqId) {
+  const network = source.network || {
+    mode: "default",
+    allow: [],
+    deny: [],
+    headers: {},
+    cookies: {},
+    assets: {},
+  };
+  const allow = network.allow.map(compileUrlPattern);
+  const deny = network.deny.map(compileUrlPattern);
+  const extraHeaders = { ...network.headers };
+  const cookieHeader = Object.entries(network.cookies)
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+  const report = { blocked: [], failed: [], privateAddress: null };
+  const verdicts = new Map();
+
+  const decide = async (request) => {
+    const target = request.url();
+    if (/^(data|blob|about):/i.test(target)) return { ok: true };
+    // Once a response came from an internal address, nothing more leaves the page
+    if (report.privateAddress) {
+      return {
+        ok: false,
+        reason: "Page connected to a private network address",
+      };
+    }
+    let url;
+    try {
+      url = new URL(target);
+    } catch (_) {
+      return { ok: false, reason: "Invalid URL" };
+    }
+    if (url.origin === ASSET_ORIGIN) return { ok: true, asset: url };
+    if (url.origin === FONT_ORIGIN) return { ok: true, font: url };
+    // The page's own navigation is governed by the URL policy alone
+    const isDocument =
+      source.url &&
+      request.isNavigationRequest() &&
+      request.frame() === page.mainFrame();
+    if (!isDocument) {
+      if (network.mode === "none") {
+        return { ok: false, reason: "Network access is disabled" };
+      }
+      if (deny.some((match) => match(url))) {
+        return { ok: false, reason: "Matched a deny pattern" };
+      }
+      if (allow.length && !allow.some((match) => match(url))) {
+        return { ok: false, reason: "Not in the allow list" };
+      }
+    }
+    if (source.url) {
+      if (!verdicts.has(url.origin)) {
+        verdicts.set(url.origin, checkUrlPolicy(target));
+      }
+      const verdict = await verdicts.get(url.origin);
+      if (!verdict.ok) return verdict;
+    }
+    return { ok: true, credentials: !isDocument && allow.length > 0 };
+  };
+
+  await page.setRequestInterception(true);
+  page.on("request", async (request) => {
+    const verdict = await decide(request);
+    try {
+      if (verdict.font) {
+        return await respondWithFont(request, verdict.font, report);
+      }
+      if (verdict.asset) {
+        let name = verdict.asset.pathname.slice(1);
+        try {
+          name = decodeURIComponent(name);
+        } catch (_) {}
+        if (name === "" && source.html !== undefined) {
+          return await request.respond({
+            status: 200,
+            contentType: "text/html; charset=utf-8",
+            body: source.html,
+          });
+        }
+        const asset = network.assets[name];
+        if (!asset) {
+          report.failed.push({ url: request.url(), reason: "Unknown asset" });
+          return await request.respond({ status: 404, body: "" });
+        }
+        return await request.respond({
+          status: 200,
+          contentType: asset.contentType,
+          body: Buffer.from(asset.data, "base64"),
+        });
+      }
+      if (!verdict.ok) {
+        report.blocked.push({ url: request.url(), reason: verdict.reason });
+        log.warn("url_request_blocked", {
+          reqId,
+          url: request.url(),
+          reason: verdict.reason,
+        });
+        return await request.abort("blockedbyclient");
+      }
+      if (
+        verdict.credentials &&
+        (cookieHeader || Object.keys(extraHeaders).length)
+      ) {
+        const headers = { ...request.headers(), ...extraHeaders };
+        if (cookieHeader) {
+          headers.cookie = headers.cookie
+            ? `${headers.cookie}; ${cookieHeader}`
+            : cookieHeader;
+        }
+        return await request.continue({ headers });
+      }
+      await request.continue();
+    } catch (_) {}
+  });
+  page.on("response", (response) => {
+    if (!source.url || URL_ALLOW_PRIVATE_NETWORKS || report.privateAddress) {
+      return;
+    }
+    // Empty for responses answered by interception (assets, fonts) or from cache
+    const ip = (response.remoteAddress()?.ip || "").replace(/^\[|\]$/g, "");
+    if (ip && isPrivateAddress(ip)) {
+      report.privateAddress = { url: response.url(), ip };
+      log.warn("url_private_address_connected", {
+        reqId,
+        url: response.url(),
+        ip,
+      });
+    }
+  });
+  page.on("requestfailed", (request) => {
+    const failure = request.failure();
+    const reason = failure ? failure.errorText : "Failed";
+    if (reason === "net::ERR_BLOCKED_BY_CLIENT") return; // already reported
+    report.failed.push({ url: request.url(), reason });
+  });
+  page.on("requestfinished", (request) => {
+    const response = request.response();
+    if (
+      response &&
+      response.status() >= 400 &&
+      ![ASSET_ORIGIN, FONT_ORIGIN].includes(new URL(request.url()).origin)
+    ) {
+      report.failed.push({
+        url: request.url(),
+        reason: `HTTP ${response.status()}`,
+      });
+    }
+  });
+  return report;
+}
+
+// Surface blocked/failed resource loads on the response: counts plus a JSON list that is
+// trimmed to fit a header
+function setResourceHeaders(res, report) {
+  if (!report || (!report.blocked.length && !report.failed.length)) return;
+  res.set("X-Resources-Blocked", String(report.blocked.length));
+  res.set("X-Resources-Failed", String(report.failed.length));
+  const entries = [
+    ...report.blocked.map((e) => ({ type: "blocked", ...e })),
+    ...report.failed.map((e) => ({ type: "failed", ...e })),
+  ];
+  let json = JSON.stringify(entries);
+  while (json.length > NETWORK_REPORT_HEADER_MAX && entries.length > 1) {
+    entries.pop();
+    json = JSON.stringify(entries);
+  }
+  // Header values must be plain ASCII
+  res.set(
+    "X-Resource-Report",
+    json.replace(/[^\x20-\x7e]/g, "?").slice(0, NETWORK_REPORT_HEADER_MAX)
+  );
+}
+
+// Load a source into the page: { html } sets the content directly, { url, waitUntil, timeout }
+// navigates (guarded by the URL policy). With network options the HTML is served from the
+// asset origin instead. Registered fonts are added to either. Returns the blocked/failed
+// resource report, or null when requests were not intercepted.
+async function loadPageSource(page, source, reqId, timeouts) {
+  if (source.html !== undefined) {
+    source = { ...source, html: withFontFaces(source.html) };
+  }
+  if (source.url) {
+    const { url, waitUntil, timeout } = source;
+    console.log(
+      `[${reqId}] [render] Navigating to ${url} (waitUntil=${waitUntil}, timeout=${timeout}ms)`
+    );
+    const resources = await controlPageRequests(page, source, reqId);
+    await addFontFacesOnNewDocument(page);
+    await withRenderTimeout(
+      (async () => {
+        const response = await timePhase(
+          "goto",
+          page.goto(url, { waitUntil, timeout })
+        );
+        if (response && !response.ok()) {
+          const err = new Error(
+            `Target responded with HTTP ${response.status()}`
+          );
+          err.status = 502;
+          err.code = "TARGET_HTTP_ERROR";
+          throw err;
+        }
+      })(),
+      timeout + 1000,
+      "Timed out while loading URL",
+      "NAVIGATION_TIMEOUT"
+    );
+    assertConnectedAddresses(resources);
+    console.log(`[${reqId}] [render] URL loaded`);
+    return resources;
+  } else if (source.network) {
+    console.log(
+      `[${reqId}] [render] Loading content from ${ASSET_ORIGIN}/ (network=${
+        source.network.mode
+      }, assets=${Object.keys(source.network.assets).length})`
+    );
+    const resources = await controlPageRequests(page, source, reqId);
+    await withRenderTimeout(
+      timePhase(
+        "set_content",
+        page.goto(`${ASSET_ORIGIN}/`, {
+          waitUntil: "networkidle0",
+          timeout: timeouts.content,
+        })
+      ),
+      timeouts.content,
+      "Timed out while setting page content",
+      "CONTENT_TIMEOUT"
+    );
+    console.log(`[${reqId}] [render] Content set`);
+    return resources;
+  } else {
+    // Load the HTML and wait for network to be idle to stabilize rendering
+    console.log(
+      `[${reqId}] [render] Setting page content (waitUntil=networkidle0)`
+    );
+    // Font files come from FONT_ORIGIN, which only exists behind interception
+    const resources = fonts.size
+      ? await controlPageRequests(page, source, reqId)
+      : null;
+    await withRenderTimeout(
+      timePhase(
+        "set_content",
+        page.setContent(source.html, {
+          waitUntil: "networkidle0",
+          timeout: timeouts.content,
+        })
+      ),
+      timeouts.content,
+      "Timed out while setting page content",
+      "CONTENT_TIMEOUT"
+    );
+    console.log(`[${reqId}] [render] Content set`);
+    return resources;
+  }
+}
+
+async function renderPdfFromHtml(
+  source,
+  browser,
+  reqId = "-",
+  pdfOptions = DEFAULT_PDF_OPTIONS,
+  timeouts = RENDER_TIMEOUTS,
+  { signal = null, trace = null } = {}
+) {
+  timeouts = effectiveTimeouts(timeouts, source);
+  console.log(`[${reqId}] [render] Opening new page`);
+  const page = await traced(trace, "open_page", browser.newPage());
+  page.setDefaultTimeout(30000); // 30s default timeout for page operations
+  closePageOnAbort(page, signal, reqId);
+  attachRenderTrace(page, trace);
+
+  try {
+    throwIfCancelled(signal);
+    await traced(
+      trace,
+      "environment",
+      applyPageEnvironment(page, source.page, reqId)
+    );
+    const resources = await traced(
+      trace,
+      "load",
+      loadPageSource(page, source, reqId, timeouts)
+    );
+    await traced(
+      trace,
+      "ready",
+      waitForPageReady(page, source.page?.waitFor, timeouts, reqId)
+    );
+    await reportMissingFonts(page, trace);
+    // Subresources and late requests may have connected after the navigation check
+    assertConnectedAddresses(resources);
+
+    // Generate the PDF buffer
+    console.log(
+      `[${reqId}] [render] Generating PDF (${
+        pdfOptions.format || `${pdfOptions.width}x${pdfOptions.height}`
+      }${pdfOptions.landscape ? ", landscape" : ""})`
+    );
+    const pdfBuffer = toBuffer(
+      await withRenderTimeout(
+        traced(
+          trace,
+          "pdf",
+          timePhase(
+            "pdf",
+            page
+              .pdf({
+                ...pdfOptions,
+                archival: undefined, // handled in post-processing
+                // Bookmarks from headings: on for Markdown sources unless set explicitly
+                outline: pdfOptions.outline ?? source.outline === true,
+                timeout: timeouts.pdf,
+              })
+              .catch((err) => {
+                // pageRanges past the last page only show up once the page is laid out
+                if (/page range exceeds page count/i.test(err?.message || "")) {
+                  err.status = 400;
+                  err.code = "VALIDATION_FAILED";
+                }
+                throw err;
+              })
+          )
+        ),
+        timeouts.pdf,
+        "Timed out while generating PDF",
+        "PDF_TIMEOUT"
+      )
+    );
+    console.log(
+      `[${reqId}] [render] PDF generated (${pdfBuffer.length} bytes)`
+    );
+
+    return { pdfBuffer, page, resources };
+  } catch (err) {
+    if (!(signal && signal.aborted))
+      await captureFailureScreenshot(page, trace);
+    // Close the page immediately on failure to avoid leaks
+    try {
+      console.warn(`[${reqId}] [render] Error encountered; closing page`);
+      await page.close({ runBeforeUnload: false });
+    } catch (_) {}
+    throw signal && signal.aborted ? cancelledError() : err;
+  }
+}
+
+// Same page setup as renderPdfFromHtml, but captures a screenshot (viewport is set before
+// loading so layout matches the requested size)
+async function renderImageFromHtml(
+  source,
+  browser,
+  reqId = "-",
+  imageOptions = DEFAULT_IMAGE_OPTIONS,
+  timeouts = RENDER_TIMEOUTS,
+  { signal = null, trace = null } = {}
+) {
+  timeouts = effectiveTimeouts(timeouts, source);
+  console.log(`[${reqId}] [render] Opening new page`);
+  const page = await traced(trace, "open_page", browser.newPage());
+  page.setDefaultTimeout(30000); // 30s default timeout for page operations
+  closePageOnAbort(page, signal, reqId);
+  attachRenderTrace(page, trace);
+
+  try {
+    throwIfCancelled(signal);
+    const { format, quality, fullPage, selector, omitBackground } =
+      imageOptions;
+    await page.setViewport({
+      width: imageOptions.width,
+      height: imageOptions.height,
+      deviceScaleFactor: imageOptions.deviceScaleFactor,
+    });
+    await traced(
+      trace,
+      "environment",
+      applyPageEnvironment(page, source.page, reqId)
+    );
+    const resources = await traced(
+      trace,
+      "load",
+      loadPageSource(page, source, reqId, timeouts)
+    );
+    await traced(
+      trace,
+      "ready",
+      waitForPageReady(page, source.page?.waitFor, timeouts, reqId)
+    );
+    await reportMissingFonts(page, trace);
+    // Subresources and late requests may have connected after the navigation check
+    assertConnectedAddresses(resources);
+
+    const shot = { type: format, omitBackground };
+    if (quality !== undefined && format !== "png") shot.quality = quality;
+    console.log(
+      `[${reqId}] [render] Capturing ${format} (${
+        selector ? `selector=${selector}` : fullPage ? "full page" : "viewport"
+      })`
+    );
+    let capture;
+    if (selector) {
+      const element = await page.$(selector);
+      if (!element) {
+        const err = new Error(`Selector "${selector}" matched no element`);
+        err.status = 422;
+        err.code = "SELECTOR_NOT_FOUND";
+        throw err;
+      }
+      capture = element.screenshot(shot);
+    } else {
+      capture = page.screenshot({ ...shot, fullPage });
+    }
+    const imageBuffer = toBuffer(
+      await withRenderTimeout(
+        traced(trace, "screenshot", timePhase("screenshot", capture)),
+        timeouts.pdf,
+        "Timed out while capturing screenshot",
+        "SCREENSHOT_TIMEOUT"
+      )
+    );
+    console.log(
+      `[${reqId}] [render] Image captured (${imageBuffer.length} bytes)`
+    );
+
+    return { imageBuffer, page, resources };
+  } catch (err) {
+    if (!(signal && signal.aborted))
+      await captureFailureScreenshot(page, trace);
+    try {
+      console.warn(`[${reqId}] [render] Error encountered; closing page`);
+      await page.close({ runBeforeUnload: false });
+    } catch (_) {}
+    throw signal && signal.aborted ? cancelledError() : err;
+  }
+}
+
+// Cached renders carry an ETag: let clients keep a copy but revalidate with If-None-Match
+function outputCacheControl(res) {
+  return res.get("ETag") ? "private, no-cache" : "no-store";
+}
+
+function sendPdfBuffer(res, buffer, filename = "document.pdf") {
+  const sigOk =
+    buffer && buffer.length >= 5 && buffer.toString("ascii", 0, 5) === "%PDF-";
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Length": String(buffer.length),
+    "Cache-Control": outputCacheControl(res),
+    "Content-Transfer-Encoding": "binary",
+  });
+  if (!sigOk) {
+    // This shouldn't occur; log for diagnostics but still send the data
+    try {
+      log.warn("pdf_signature_missing", { len: buffer?.length });
+    } catch (_) {}
+  }
+  metrics.outputBytes.observe({ kind: "pdf" }, buffer.length);
+  res.status(200).end(buffer);
+}
+
+const IMAGE_SIGNATURES = {
+  png: (b) =>
+    b.length >= 8 &&
+    b.subarray(0, 8).equals(Buffer.from([137, 80, 78, 71, 13, 10, 26, 10])),
+  jpeg: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  webp: (b) =>
+    b.length >= 12 &&
+    b.toString("ascii", 0, 4) === "RIFF" &&
+    b.toString("ascii", 8, 12) === "WEBP",
+};
+
+function sendImageBuffer(res, buffer, format = "png", filename = "image.png") {
+  const sigOk = Boolean(buffer && IMAGE_SIGNATURES[format]?.(buffer));
+  res.set({
+    "Content-Type": `image/${format}`,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Length": String(buffer.length),
+    "Cache-Control": outputCacheControl(res),
+    "Content-Transfer-Encoding": "binary",
+  });
+  if (!sigOk) {
+    // This shouldn't occur; log for diagnostics but still send the data
+    try {
+      log.warn("image_signature_missing", { format, len: buffer?.length });
+    } catch (_) {}
+  }
+  metrics.outputBytes.observe({ kind: "image" }, buffer.length);
+  res.status(200).end(buffer);
+}
+
+function sendZipBuffer(res, buffer, filename = "documents.zip") {
+  const sigOk =
+    buffer && buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Length": String(buffer.length),
+    "Cache-Control": "no-store",
+    "Content-Transfer-Encoding": "binary",
+  });
+  if (!sigOk) {
+    try {
+      log.warn("zip_signature_missing", { len: buffer?.length });
+    } catch (_) {}
+  }
+  metrics.outputBytes.observe({ kind: "zip" }, buffer.length);
+  res.status(200).end(buffer);
+}
+
+// Write a document outline (bookmarks) into a pdf-lib document.
+// entries: [{ title, pageIndex, children?: [...] }]; all entries open by default.
+function addPdfOutline(pdfDoc, entries) {
+  if (!entries.length) return;
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages();
+  const outlineRef = context.nextRef();
+
+  const build = (items, parentRef) => {
+    const refs = items.map(() => context.nextRef());
+    let count = 0;
+    items.forEach((item, i) => {
+      const page =
+        pages[Math.min(Math.max(item.pageIndex, 0), pages.length - 1)];
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+        Dest: [page.ref, "XYZ", null, null, null],
+      });
+      if (i > 0) dict.set(PDFName.of("Prev"), refs[i - 1]);
+      if (i < refs.length - 1) dict.set(PDFName.of("Next"), refs[i + 1]);
+      if (item.children && item.children.length) {
+        const sub = build(item.children, refs[i]);
+        dict.set(PDFName.of("First"), sub.first);
+        dict.set(PDFName.of("Last"), sub.last);
+        dict.set(PDFName.of("Count"), PDFNumber.of(sub.count));
+        count += sub.count;
+      }
+      context.assign(refs[i], dict);
+      count++;
+    });
+    return { first: refs[0], last: refs[refs.length - 1], count };
+  };
+
+  const top = build(entries, outlineRef);
+  context.assign(
+    outlineRef,
+    context.obj({
+      Type: "Outlines",
+      First: top.first,
+      Last: top.last,
+      Count: top.count,
+    })
+  );
+  pdfDoc.catalog.set(PDFName.of("Outlines"), outlineRef);
+  pdfDoc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+// --------------------------------------------------------------------------------------
+// PDF post-processing: document metadata and password protection, applied with pdf-lib
+// after page.pdf() and before the PDF is sent. Heading bookmarks come from pdf.outline.
+// --------------------------------------------------------------------------------------
+const METADATA_TEXT_FIELDS = [
+  "title",
+  "author",
+  "subject",
+  "creator",
+  "producer",
+];
+const METADATA_KEYS = [...METADATA_TEXT_FIELDS, "keywords", "custom"];
+// Info dictionary keys with a meaning of their own; custom fields cannot replace them
+const RESERVED_INFO_KEYS = [
+  "title",
+  "author",
+  "subject",
+  "keywords",
+  "creator",
+  "producer",
+  "creationdate",
+  "moddate",
+  "trapped",
+];
+const MAX_METADATA_VALUE_LENGTH = 2000;
+const PDF_PERMISSIONS = [
+  "printing",
+  "modifying",
+  "copying",
+  "annotating",
+  "fillingForms",
+  "contentAccessibility",
+  "documentAssembly",
+];
+const PRINTING_VALUES = [true, false, "lowResolution", "highResolution"];
+
+function validateMetadata(raw, errors) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field: "metadata", message: "Expected an object" });
+    return null;
+  }
+  const metadata = {};
+  const checkText = (field, value) => {
+    if (typeof value !== "string") {
+      errors.push({ field, message: "Expected a string" });
+      return false;
+    }
+    if (value.length > MAX_METADATA_VALUE_LENGTH) {
+      errors.push({
+        field,
+        message: `Longer than ${MAX_METADATA_VALUE_LENGTH} characters`,
+      });
+      return false;
+    }
+    return true;
+  };
+  for (const key of Object.keys(raw)) {
+    if (!METADATA_KEYS.includes(key)) {
+      errors.push({ field: `metadata.${key}`, message: "Unknown field" });
+    }
+  }
+  for (const key of METADATA_TEXT_FIELDS) {
+    if (raw[key] !== undefined && checkText(`metadata.${key}`, raw[key])) {
+      metadata[key] = raw[key];
+    }
+  }
+  if (raw.keywords !== undefined) {
+    // "a, b" or ["a", "b"]
+    const list =
+      typeof raw.keywords === "string"
+        ? raw.keywords.split(",").map((k) => k.trim())
+        : raw.keywords;
+    if (!Array.isArray(list)) {
+      errors.push({
+        field: "metadata.keywords",
+        message: "Expected a string or an array of strings",
+      });
+    } else if (list.every((k, i) => checkText(`metadata.keywords[${i}]`, k))) {
+      metadata.keywords = list.filter(Boolean);
+    }
+  }
+  if (raw.custom !== undefined) {
+    if (
+      !raw.custom ||
+      typeof raw.custom !== "object" ||
+      Array.isArray(raw.custom)
+    ) {
+      errors.push({ field: "metadata.custom", message: "Expected an object" });
+    } else {
+      metadata.custom = {};
+      for (const [name, value] of Object.entries(raw.custom)) {
+        const field = `metadata.custom.${name}`;
+        if (
+          !/^[A-Za-z][A-Za-z0-9_-]{0,63}$/.test(name) ||
+          RESERVED_INFO_KEYS.includes(name.toLowerCase())
+        ) {
+          errors.push({
+            field,
+            message:
+              "Expected a name of letters, digits, _ or - (not a standard field)",
+          });
+        } else if (checkText(field, value)) {
+          metadata.custom[name] = value;
+        }
+      }
+    }
+  }
+  return metadata;
+}
+
+function validateSecurity(raw, errors) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field: "security", message: "Expected an object" });
+    return null;
+  }
+  for (const key of Object.keys(raw)) {
+    if (!["userPassword", "ownerPassword", "permissions"].includes(key)) {
+      errors.push({ field: `security.${key}`, message: "Unknown option" });
+    }
+  }
+  const security = {};
+  for (const key of ["userPassword", "ownerPassword"]) {
+    if (raw[key] === undefined) continue;
+    // AES-256 uses at most 127 bytes of a UTF-8 password
+    if (
+      typeof raw[key] !== "string" ||
+      raw[key] === "" ||
+      Buffer.byteLength(raw[key], "utf8") > 127
+    ) {
+      errors.push({
+        field: `security.${key}`,
+        message: "Expected a non-empty string of at most 127 bytes",
+      });
+    } else {
+      security[key] = raw[key];
+    }
+  }
+  // Anything not restricted stays allowed
+  const permissions = Object.fromEntries(
+    PDF_PERMISSIONS.map((key) => [key, true])
+  );
+  permissions.printing = "highResolution";
+  if (raw.permissions !== undefined) {
+    const given = raw.permissions;
+    if (!given || typeof given !== "object" || Array.isArray(given)) {
+      errors.push({
+        field: "security.permissions",
+        message: "Expected an object",
+      });
+    } else {
+      for (const [key, value] of Object.entries(given)) {
+        const field = `security.permissions.${key}`;
+        if (!PDF_PERMISSIONS.includes(key)) {
+          errors.push({ field, message: "Unknown permission" });
+        } else if (key === "printing" && !PRINTING_VALUES.includes(value)) {
+          errors.push({
+            field,
+            message: 'Expected a boolean, "lowResolution" or "highResolution"',
+          });
+        } else if (key !== "printing" && typeof value !== "boolean") {
+          errors.push({ field, message: "Expected a boolean" });
+        } else {
+          permissions[key] =
+            key === "printing" && value === true ? "highResolution" : value;
+        }
+      }
+    }
+  }
+  security.permissions = permissions;
+  return security;
+}
+
+// Read "metadata" and "security" from a JSON body (metadata also from the query string for
+// raw HTML bodies; passwords never are, to keep them out of URLs and access logs).
+// Returns { metadata, security } with null for what was not requested, or null after a 400.
+function parseDocumentOptions(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const rawMetadata =
+    typeof req.body === "string"
+      ? req.query && req.query.metadata
+      : body.metadata;
+  const errors = [];
+  const metadata = validateMetadata(rawMetadata, errors);
+  const security = validateSecurity(body.security, errors);
+  if (errors.length) {
+    log.warn("invalid_document_options", { reqId: req.reqId, errors });
+    res.status(400).json({
+      error: "Invalid document options",
+      details: {
+        message:
+          'Send "metadata" as { title, author, subject, keywords, creator, producer, custom } and "security" as { userPassword, ownerPassword, permissions }.',
+        permissions: PDF_PERMISSIONS,
+        errors,
+      },
+    });
+    return null;
+  }
+  return { metadata, security };
+}
+
+// Apply metadata, archival/tagged processing and encryption; returns the buffer untouched
+// when none was requested
+async function postProcessPdf(
+  buffer,
+  documentOptions,
+  reqId = "-",
+  pdfOptions = {}
+) {
+  const { metadata, security } = documentOptions || {};
+  const archival = Boolean(pdfOptions.archival);
+  const tagged = pdfOptions.tagged === true;
+  if (!metadata && !security && !archival && !tagged) return buffer;
+
+  // Keep Chromium's Producer and dates unless the caller overrides them
+  const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  if (metadata) {
+    if (metadata.title !== undefined) {
+      pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    }
+    if (metadata.author !== undefined) pdfDoc.setAuthor(metadata.author);
+    if (metadata.subject !== undefined) pdfDoc.setSubject(metadata.subject);
+    if (metadata.keywords !== undefined) pdfDoc.setKeywords(metadata.keywords);
+    if (metadata.creator !== undefined) pdfDoc.setCreator(metadata.creator);
+    if (metadata.producer !== undefined) pdfDoc.setProducer(metadata.producer);
+    const info = pdfDoc.getInfoDict();
+    for (const [name, value] of Object.entries(metadata.custom || {})) {
+      info.set(PDFName.of(name), PDFHexString.fromText(value));
+    }
+  }
+  if (archival || tagged) conformPdf(pdfDoc, { archival, tagged });
+  if (security) {
+    pdfDoc.encrypt({
+      userPassword: security.userPassword,
+      // Without an owner password anyone could lift the restrictions
+      ownerPassword:
+        security.ownerPassword || crypto.randomBytes(24).toString("base64url"),
+      permissions: security.permissions,
+    });
+  }
+  // No object streams: page objects stay visible to countPdfPages
+  const out = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  console.log(
+    `[${reqId}] [render] Post-processed PDF (${[
+      metadata && "metadata",
+      archival && ARCHIVAL_STANDARD,
+      tagged && "tagged",
+      security && "encrypted",
+    ]
+      .filter(Boolean)
+      .join(", ")}; ${out.length} bytes)`
+  );
+  return out;
+}
+
+// --------------------------------------------------------------------------------------
+// PDF/A-2b and tagged output: Chromium renders tagged PDF (fonts are always embedded as
+// subsets); this stage adds the XMP packet, an sRGB output intent and a file ID, then
+// checks the structure. Failures are reported, never shipped as a non-compliant file.
+// This is a structural check of the rules we can see, not a full veraPDF validation.
+// --------------------------------------------------------------------------------------
+const ARCHIVAL_STANDARD = "PDF/A-2b";
+const SRGB_CONDITION = "sRGB IEC61966-2.1";
+const FORBIDDEN_ANNOTATIONS = [
+  "Sound",
+  "Movie",
+  "Screen",
+  "3D",
+  "RichMedia",
+  "FileAttachment",
+];
+const FORBIDDEN_ACTIONS = [
+  "JavaScript",
+  "Launch",
+  "Sound",
+  "Movie",
+  "ResetForm",
+  "ImportData",
+];
+
+let srgbIccProfile = null;
+
+// A minimal ICC v2 display profile for sRGB: D50-adapted primaries, D65 white point and the
+// sRGB tone curve sampled into a 1024-entry table
+function buildSrgbIccProfile() {
+  if (srgbIccProfile) return srgbIccProfile;
+  const s15 = (v) => Math.round(v * 65536);
+  const xyz = (x, y, z) => {
+    const b = Buffer.alloc(20);
+    b.write("XYZ ", 0, "ascii");
+    [x, y, z].forEach((v, i) => b.writeInt32BE(s15(v), 8 + i * 4));
+    return b;
+  };
+  const text = (value) => {
+    const b = Buffer.alloc(8 + value.length + 1);
+    b.write("text", 0, "ascii");
+    b.write(value, 8, "ascii");
+    return b;
+  };
+  const desc = (value) => {
+    const b = Buffer.alloc(12 + value.length + 1 + 8 + 3 + 67);
+    b.write("desc", 0, "ascii");
+    b.writeUInt32BE(value.length + 1, 8);
+    b.write(value, 12, "ascii");
+    return b;
+  };
+  const samples = 1024;
+  const curve = Buffer.alloc(12 + samples * 2);
+  curve.write("curv", 0, "ascii");
+  curve.writeUInt32BE(samples, 8);
+  for (let i = 0; i < samples; i++) {
+    const v = i / (samples - 1);
+    const linear = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+  }
+  const tags = [
+    ["desc", desc(SRGB_CONDITION)],
+    ["cprt", text("No copyright, use freely")],
+    ["wtpt", xyz(0.9505, 1.0, 1.089)],
+    ["rXYZ", xyz(0.4360747, 0.2225045, 0.0139322)],
+    ["gXYZ", xyz(0.3850649, 0.7168786, 0.0971045)],
+    ["bXYZ", xyz(0.1430804, 0.0606169, 0.7141733)],
+    ["rTRC", curve],
+    ["gTRC", curve],
+    ["bTRC", curve],
+  ];
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length, 0);
+  const blocks = [];
+  const offsets = new Map();
+  let offset = 128 + table.length;
+  tags.forEach(([sig, data], i) => {
+    // Tags sharing one data block (the three TRCs) point at the same offset
+    if (!offsets.has(data)) {
+      offsets.set(data, offset);
+      const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+      data.copy(padded);
+      blocks.push(padded);
+      offset += padded.length;
+    }
+    table.write(sig, 4 + i * 12, "ascii");
+    table.writeUInt32BE(offsets.get(data), 8 + i * 12);
+    table.writeUInt32BE(data.length, 12 + i * 12);
+  });
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write("mntrRGB XYZ ", 12, "ascii");
+  [2024, 1, 1, 0, 0, 0].forEach((v, i) => header.writeUInt16BE(v, 24 + i * 2));
+  header.write("acsp", 36, "ascii");
+  // PCS illuminant (D50)
+  [0.9642, 1.0, 0.8249].forEach((v, i) =>
+    header.writeInt32BE(s15(v), 68 + i * 4)
+  );
+  srgbIccProfile = Buffer.concat([header, table, ...blocks]);
+  return srgbIccProfile;
+}
+
+function escapeXml(text) {
+  return escapeHtml(text).replace(/'/g, "&apos;");
+}
+
+// XMP must repeat the Info dictionary exactly (ISO 19005-2, 6.6.2.3)
+function buildXmpPacket(pdfDoc, dates) {
+  const props = [
+    "<pdfaid:part>2</pdfaid:part>",
+    "<pdfaid:conformance>B</pdfaid:conformance>",
+    "<dc:format>application/pdf</dc:format>",
+  ];
+  const alt = (v) =>
+    `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(v)}</rdf:li></rdf:Alt>`;
+  const title = pdfDoc.getTitle();
+  const author = pdfDoc.getAuthor();
+  const subject = pdfDoc.getSubject();
+  const keywords = pdfDoc.getKeywords();
+  const creator = pdfDoc.getCreator();
+  const producer = pdfDoc.getProducer();
+  if (title) props.push(`<dc:title>${alt(title)}</dc:title>`);
+  if (author) {
+    props.push(
+      `<dc:creator><rdf:Seq><rdf:li>${escapeXml(
+        author
+      )}</rdf:li></rdf:Seq></dc:creator>`
+    );
+  }
+  if (subject) props.push(`<dc:description>${alt(subject)}</dc:description>`);
+  if (keywords)
+    props.push(`<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`);
+  if (producer)
+    props.push(`<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`);
+  if (creator) {
+    props.push(`<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>`);
+  }
+  const iso = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  props.push(
+    `<xmp:CreateDate>${iso(dates.created)}</xmp:CreateDate>`,
+    `<xmp:ModifyDate>${iso(dates.modified)}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${iso(dates.modified)}</xmp:MetadataDate>`
+  );
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+  xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+  xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+${props.join("\n")}
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Add what PDF/A-2b needs on top of Chromium's output
+function makeArchival(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  // Whole seconds: PDF date strings carry no milliseconds
+  const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const dates = {
+    created: pdfDoc.getCreationDate() || now,
+    modified: now,
+  };
+  // Rewrite both dates so Info and XMP carry the identical values
+  pdfDoc.setCreationDate(dates.created);
+  pdfDoc.setModificationDate(dates.modified);
+
+  // The metadata stream must stay unfiltered
+  const xmp = context.stream(
+    new Uint8Array(Buffer.from(buildXmpPacket(pdfDoc, dates), "utf8")),
+    { Type: "Metadata", Subtype: "XML" }
+  );
+  catalog.set(PDFName.of("Metadata"), context.register(xmp));
+
+  const profile = context.flateStream(new Uint8Array(buildSrgbIccProfile()), {
+    N: 3,
+  });
+  const intent = context.obj({
+    Type: "OutputIntent",
+    S: "GTS_PDFA1",
+    OutputConditionIdentifier: PDFString.of(SRGB_CONDITION),
+    Info: PDFString.of(SRGB_CONDITION),
+    RegistryName: PDFString.of("http://www.color.org"),
+    DestOutputProfile: context.register(profile),
+  });
+  catalog.set(PDFName.of("OutputIntents"), context.obj([intent]));
+
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString("hex"));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  // Annotations must print and may not be hidden (Chromium emits link annotations)
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (let i = 0; i < annots.size(); i++) {
+      const annot = annots.lookup(i);
+      if (!annot || typeof annot.get !== "function") continue;
+      const flags = annot.get(PDFName.of("F"));
+      const value = flags && flags.asNumber ? flags.asNumber() : 0;
+      annot.set(PDFName.of("F"), PDFNumber.of((value | 4) & ~(1 | 2 | 32)));
+    }
+  }
+}
+
+function dictName(dict, key) {
+  const value = dict.get(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+}
+
+// Structural checks; returns [{ rule, message }] (empty when nothing was found)
+function checkConformance(pdfDoc, { archival, tagged }) {
+  const errors = [];
+  const { context, catalog } = pdfDoc;
+  if (tagged) {
+    if (!catalog.get(PDFName.of("StructTreeRoot"))) {
+      errors.push({
+        rule: "tagged.structure",
+        message:
+          "Chromium produced no structure tree (very large documents are not tagged)",
+      });
+    }
+    const markInfo = catalog.lookup(PDFName.of("MarkInfo"));
+    const marked =
+      markInfo && markInfo.get && markInfo.get(PDFName.of("Marked"));
+    if (!marked || marked.toString() !== "true") {
+      errors.push({
+        rule: "tagged.markinfo",
+        message: "MarkInfo /Marked is not true",
+      });
+    }
+  }
+  if (!archival) return errors;
+
+  if (pdfDoc.isEncrypted) {
+    errors.push({ rule: "6.1.3", message: "Encryption is not allowed" });
+  }
+  const names = catalog.lookup(PDFName.of("Names"));
+  if (
+    (names && names.get && names.get(PDFName.of("JavaScript"))) ||
+    catalog.get(PDFName.of("AA"))
+  ) {
+    errors.push({
+      rule: "6.6.1",
+      message: "JavaScript and additional actions are not allowed",
+    });
+  }
+  if (names && names.get && names.get(PDFName.of("EmbeddedFiles"))) {
+    errors.push({
+      rule: "6.8",
+      message: "Embedded files are not allowed in PDF/A-2b",
+    });
+  }
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    // Dictionaries, or the dictionary of a stream (images)
+    const dict =
+      object instanceof PDFDict
+        ? object
+        : object && object.dict instanceof PDFDict
+        ? object.dict
+        : null;
+    if (!dict) continue;
+    const type = dictName(dict, "Type");
+    const subtype = dictName(dict, "Subtype");
+    if (type === "Font" && subtype && !["Type0", "Type3"].includes(subtype)) {
+      const descriptor = dict.lookup(PDFName.of("FontDescriptor"));
+      const embedded =
+        descriptor &&
+        ["FontFile", "FontFile2", "FontFile3"].some((key) =>
+          descriptor.get(PDFName.of(key))
+        );
+      if (!embedded) {
+        const base = dictName(dict, "BaseFont") || ref.toString();
+        errors.push({
+          rule: "6.2.11.4",
+          message: `Font "${base}" is not embedded`,
+        });
+      }
+    }
+    if (
+      FORBIDDEN_ANNOTATIONS.includes(subtype) &&
+      dict.get(PDFName.of("Rect"))
+    ) {
+      errors.push({
+        rule: "6.3.1",
+        message: `${subtype} annotations are not allowed`,
+      });
+    }
+    if (subtype === "Image" && dictName(dict, "ColorSpace") === "DeviceCMYK") {
+      errors.push({
+        rule: "6.2.4.3",
+        message: `DeviceCMYK image ${ref.toString()} without a CMYK output intent`,
+      });
+    }
+    const action = dictName(dict, "S");
+    if (FORBIDDEN_ACTIONS.includes(action)) {
+      errors.push({
+        rule: "6.6.1",
+        message: `${action} actions are not allowed`,
+      });
+    }
+  }
+  return errors;
+}
+
+// Apply archival/tagged processing to a loaded document; throws a 422 listing every
+// failed check
+function conformPdf(pdfDoc, { archival, tagged }) {
+  if (archival) makeArchival(pdfDoc);
+  if (tagged) {
+    // Show the document title (not the file name) in viewers' title bars
+    const prefs = pdfDoc.catalog.getOrCreateViewerPreferences();
+    prefs.setDisplayDocTitle(true);
+  }
+  const errors = checkConformance(pdfDoc, { archival, tagged });
+  if (errors.length) {
+    const err = new Error(
+      `${archival ? ARCHIVAL_STANDARD : "Tagged PDF"} check failed: ${errors
+        .map((e) => e.message)
+        .join("; ")}`
+    );
+    err.status = 422;
+    err.code = "PDF_CONFORMANCE_FAILED";
+    err.details = {
+      standard: archival ? ARCHIVAL_STANDARD : "tagged",
+      errors,
+    };
+    throw err;
+  }
+}
+
+// Validate the render input; returns { html } or { url, waitUntil, timeout }, or null after
+// responding with 400
+async function ensureHtmlInput(req, res) {
+  const ct = req.headers["content-type"] || "";
+  let html = null;
+  let url = null;
+  let markdown = null;
+
+  // If body parser provided a string (text/plain or text/html), treat it as the HTML directly
+  if (typeof req.body === "string") {
+    if (/^text\/(x-)?markdown\b/i.test(ct)) {
+      markdown = req.body;
+    } else {
+      html = req.body;
+    }
+  } else if (req && req.body && typeof req.body === "object") {
+    html = req.body.html;
+    url = req.body.url;
+    markdown = req.body.markdown;
+  }
+  if (markdown !== null && markdown !== undefined) {
+    return ensureMarkdownInput(req, res, markdown, html ?? url);
+  }
+  // Allow ?url= on otherwise empty requests (e.g. a bare POST from a webhook)
+  if (
+    (html === null || html === undefined || html === "") &&
+    (url === null || url === undefined) &&
+    req.query &&
+    typeof req.query.url === "string"
+  ) {
+    url = req.query.url;
+  }
+
+  if (url !== null && url !== undefined) {
+    const source = await ensureUrlInput(req, res, url, html);
+    return source && withSourceOptions(req, res, source);
+  }
+
+  if (typeof html !== "string" || html.trim() === "") {
+    const keys =
+      req && req.body && typeof req.body === "object"
+        ? Object.keys(req.body)
+        : [];
+    res.status(400).json({
+      error: "Expected HTML input",
+      details: {
+        message:
+          'Send raw text/html body, JSON with a non-empty string property "html" or "url", or multipart/form-data with an "index.html" part.',
+        contentType: ct || "(none)",
+        receivedType: typeof req.body,
+        bodyKeys: keys,
+      },
+    });
+    return null;
+  }
+
+  const length = Buffer.byteLength(html, "utf8");
+  log.info("validated_html", { reqId: req.reqId, bytes: length });
+  return withSourceOptions(req, res, { html });
+}
+
+// Convert Markdown (JSON "markdown", or a text/markdown body with ?theme=) into an HTML
+// source; the PDF gets a heading outline unless pdf.outline says otherwise
+function ensureMarkdownInput(req, res, markdown, other) {
+  const opts =
+    req.body && typeof req.body === "object" ? req.body : req.query || {};
+  const { options, errors } = validateMarkdownOptions(opts);
+  if (typeof markdown !== "string" || markdown.trim() === "") {
+    errors.unshift({
+      field: "markdown",
+      message: "Expected a non-empty string",
+    });
+  }
+  if (other !== null && other !== undefined) {
+    errors.push({
+      field: "markdown",
+      message: 'Send only one of "html", "url" or "markdown"',
+    });
+  }
+  if (errors.length) {
+    res.status(400).json({
+      error: "Invalid Markdown input",
+      details: {
+        message:
+          'Send JSON with "markdown" and optional "theme" and "css", or a text/markdown body.',
+        themes: Object.keys(MARKDOWN_THEMES),
+        errors,
+      },
+    });
+    return null;
+  }
+
+  const html = renderMarkdownDocument(markdown, options);
+  log.info("validated_markdown", {
+    reqId: req.reqId,
+    bytes: Buffer.byteLength(markdown, "utf8"),
+    theme: options.theme,
+  });
+  return withSourceOptions(req, res, { html, outline: true });
+}
+
+// Attach the request's network and page options to a validated source, or null after a 400
+function withSourceOptions(req, res, source) {
+  const network = parseNetworkOptions(req, res);
+  if (network === undefined) return null;
+  if (network) source.network = network;
+  const page = parsePageOptions(req, res);
+  if (page === undefined) return null;
+  if (page) source.page = page;
+  return source;
+}
+
+async function ensureUrlInput(req, res, url, html) {
+  const opts = {
+    ...(req.query || {}),
+    ...(req.body && typeof req.body === "object" ? req.body : {}),
+  };
+  const errors = [];
+  if (typeof url !== "string" || url.trim() === "") {
+    errors.push({ field: "url", message: "Expected a non-empty string" });
+  }
+  if (typeof html === "string" && html.trim() !== "") {
+    errors.push({ field: "url", message: 'Send either "html" or "url"' });
+  }
+  const waitUntil =
+    opts.waitUntil === undefined ? "networkidle0" : opts.waitUntil;
+  if (!URL_WAIT_UNTIL.includes(waitUntil)) {
+    errors.push({
+      field: "waitUntil",
+      message: `Expected one of ${URL_WAIT_UNTIL.join(", ")}`,
+    });
+  }
+  const timeout =
+    opts.timeout === undefined ? URL_DEFAULT_TIMEOUT_MS : Number(opts.timeout);
+  if (
+    !Number.isInteger(timeout) ||
+    timeout < 1 ||
+    timeout > URL_MAX_TIMEOUT_MS
+  ) {
+    errors.push({
+      field: "timeout",
+      message: `Expected milliseconds between 1 and ${URL_MAX_TIMEOUT_MS}`,
+    });
+  }
+  if (errors.length) {
+    res.status(400).json({
+      error: "Invalid URL input",
+      details: {
+        message:
+          'Send JSON with "url" and optional "waitUntil" and "timeout" (ms).',
+        errors,
+      },
+    });
+    return null;
+  }
+
+  const verdict = await checkUrlPolicy(url.trim());
+  if (!verdict.ok) {
+    log.warn("url_rejected", { reqId: req.reqId, url, reason: verdict.reason });
+    res.status(400).json({
+      error: "URL not allowed",
+      code: "URL_NOT_ALLOWED",
+      details: { url, reason: verdict.reason },
+    });
+    return null;
+  }
+
+  log.info("validated_url", {
+    reqId: req.reqId,
+    url: verdict.url.href,
+    waitUntil,
+    timeout,
+  });
+  return { url: verdict.url.href, waitUntil, timeout };
+}
+
+// Render on the persistent pool without an HTTP response to tie cleanup to (jobs, batches):
+// the page and its slot are released as soon as the PDF buffer exists
+async function renderPdfWithPool(
+  source,
+  pdfOptions,
+  reqId,
+  timeouts = RENDER_TIMEOUTS,
+  signal = null
+) {
+  const slot = await acquirePageSlot(reqId, signal);
+  let rendered = false;
+  try {
+    const browser = await launchPersistentBrowser(slot);
+    const { pdfBuffer, page } = await renderPdfFromHtml(
+      source,
+      browser,
+      reqId,
+      pdfOptions,
+      timeouts,
+      { signal }
+    );
+    rendered = true;
+    try {
+      await page.close({ runBeforeUnload: false });
+    } catch (_) {}
+    return pdfBuffer;
+  } finally {
+    releasePageSlot(slot, rendered);
+  }
+}
+
+// Helpful GET handlers to explain correct usage instead of ambiguous 404/400
+function methodNotAllowedInfo(req, res) {
+  return res.status(405).json({
+    error: "Method Not Allowed",
+    details: {
+      method: req.method,
+      use: 'POST with application/json { "html": "..." } | { "url": "https://..." }, text/html|text/plain body containing the HTML, or multipart/form-data with index.html and asset parts',
+      path: req.originalUrl,
+    },
+  });
+}
+
+// --------------------------------------------------------------------------------------
+// Render cache (opt-in, RENDER_CACHE=memory|fs): finished outputs keyed by a hash of the
+// input and every option that shapes the bytes. LRU by size/entry count, TTL expiry.
+// --------------------------------------------------------------------------------------
+const RENDER_CACHE = (process.env.RENDER_CACHE || "off").toLowerCase();
+const RENDER_CACHE_DIR = path.resolve(
+  process.env.RENDER_CACHE_DIR || path.join(".tmp", "render-cache")
+);
+const RENDER_CACHE_MAX_BYTES =
+  parseByteSize(process.env.RENDER_CACHE_MAX_BYTES || "256mb") ||
+  256 * 1024 ** 2;
+const RENDER_CACHE_MAX_ENTRIES = Math.max(
+  1,
+  envInt("RENDER_CACHE_MAX_ENTRIES", 1000)
+);
+const RENDER_CACHE_TTL_MS = envInt("RENDER_CACHE_TTL_MS", 60 * 60 * 1000);
+
+// Bookkeeping shared by both backends: Map insertion order is recency (oldest first)
+function createLruIndex(onEvict) {
+  const entries = new Map();
+  let bytes = 0;
+  const drop = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.size;
+    onEvict(key, entry);
+  };
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.createdAt > RENDER_CACHE_TTL_MS) {
+        drop(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    add(key, entry) {
+      drop(key);
+      entries.set(key, entry);
+      bytes += entry.size;
+      while (
+        bytes > RENDER_CACHE_MAX_BYTES ||
+        entries.size > RENDER_CACHE_MAX_ENTRIES
+      ) {
+        drop(entries.keys().next().value);
+      }
+    },
+    drop,
+    stats: () => ({ entries: entries.size, bytes }),
+  };
+}
+
+// Cache contract (all async except stats): get(key) -> Buffer|null, set(key, buffer)
+function createMemoryRenderCache() {
+  const index = createLruIndex(() => {});
+  return {
+    kind: "memory",
+    async get(key) {
+      const entry = index.get(key);
+      return entry ? entry.buffer : null;
+    },
+    async set(key, buffer) {
+      if (buffer.length > RENDER_CACHE_MAX_BYTES) return;
+      index.add(key, { buffer, size: buffer.length, createdAt: Date.now() });
+    },
+    stats: index.stats,
+  };
+}
+
+function createFileRenderCache(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Keys are sha256 hex digests; anything else never reaches the filesystem
+  const file = (key) => {
+    if (!/^[a-f0-9]{64}$/.test(key)) throw new Error("Invalid cache key");
+    return path.join(dir, `${key}.bin`);
+  };
+  const index = createLruIndex((key) => {
+    fs.promises.unlink(file(key)).catch(() => {});
+  });
+  // Adopt entries left by a previous run, least recently written first
+  const existing = fs
+    .readdirSync(dir)
+    .filter((n) => /^[a-f0-9]{64}\.bin$/.test(n))
+    .map((n) => {
+      const stat = fs.statSync(path.join(dir, n));
+      return { key: n.slice(0, 64), size: stat.size, createdAt: stat.mtimeMs };
+    })
+    .sort((a, b) => a.createdAt - b.createdAt);
+  for (const { key, size, createdAt } of existing) {
+    index.add(key, { size, createdAt });
+  }
+  return {
+    kind: "fs",
+    async get(key) {
+      if (!index.get(key)) return null;
+      try {
+        return await fs.promises.readFile(file(key));
+      } catch (_) {
+        index.drop(key);
+        return null;
+      }
+    },
+    async set(key, buffer) {
+      if (buffer.length > RENDER_CACHE_MAX_BYTES) return;
+      // Write-then-rename so a concurrent reader never sees a partial file
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file(key));
+      index.add(key, { size: buffer.length, createdAt: Date.now() });
+    },
+    stats: index.stats,
+  };
+}
+
+function createRenderCache(kind) {
+  if (kind === "off" || kind === "none" || kind === "") return null;
+  if (kind === "memory") return createMemoryRenderCache();
+  if (kind === "fs" || kind === "file")
+    return createFileRenderCache(RENDER_CACHE_DIR);
+  throw new Error(
+    `Unknown RENDER_CACHE "${kind}" (expected off, memory or fs)`
+  );
+}
+
+const renderCache = createRenderCache(RENDER_CACHE);
+
+// Results are private to the API key that asked for them, so the key id is hashed in too.
+// URL sources are never cached: the key would only name the URL, not what it serves now.
+function renderCacheKey(req, kind, parts) {
+  // Debug responses need a live render to report on
+  if (!renderCache || req.renderTrace) return null;
+  if (parts.source && parts.source.url) return null;
+  return sha256Hex(
+    JSON.stringify({
+      v: 1,
+      kind,
+      apiKey: req.apiKey ? req.apiKey.id : null,
+      fonts: fontsDigest,
+      ...parts,
+    })
+  );
+}
+
+// "*" is not honoured: it would answer 304 for output this client was never sent
+function etagMatches(req, etag) {
+  const header = req.headers["if-none-match"];
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((t) => t.trim().replace(/^W\//, ""))
+    .some((t) => t === etag);
+}
+
+// Answer from the cache (200 HIT or 304) before any browser work; true when handled.
+// 304 only for an entry that is still cached, so an evicted or never-rendered ETag gets a
+// fresh render. A request with Cache-Control: no-cache skips the lookup but still
+// refreshes the entry.
+async function respondFromCache(req, res, output) {
+  if (!output.cacheKey) return false;
+  const etag = `"${output.cacheKey}"`;
+  const bypass = /no-cache/i.test(req.headers["cache-control"] || "");
+  let buffer = null;
+  if (!bypass) {
+    try {
+      buffer = await renderCache.get(output.cacheKey);
+    } catch (err) {
+      log.warn("render_cache_read_error", {
+        reqId: req.reqId,
+        error: err?.message,
+      });
+    }
+  }
+  metrics.renderCacheLookups.inc({ result: buffer ? "hit" : "miss" });
+  if (!buffer) {
+    res.set("X-Cache", "MISS");
+    return false;
+  }
+  // store=true always answers with a fresh link, never 304
+  if (!req.storeOutput && etagMatches(req, etag)) {
+    log.info("render_cache_not_modified", { reqId: req.reqId });
+    res.set({ ETag: etag, "Cache-Control": "private, no-cache" });
+    res.status(304).end();
+    return true;
+  }
+  res.set({ ETag: etag, "X-Cache": "HIT" });
+  await output.deliver(buffer, "cache", { cached: true });
+  return true;
+}
+
+// Called once a render succeeded; failed renders never get an ETag
+async function storeInCache(req, res, output, buffer) {
+  if (!output.cacheKey) return;
+  res.set("ETag", `"${output.cacheKey}"`);
+  try {
+    await renderCache.set(output.cacheKey, buffer);
+  } catch (err) {
+    log.warn("render_cache_write_error", {
+      reqId: req.reqId,
+      error: err?.message,
+    });
+  }
+}
+
+// --------------------------------------------------------------------------------------
+// Output storage (opt-in, STORAGE_BACKEND=local|s3): store=true writes the output to a
+// bucket or directory and answers with JSON (key, size, SHA-256, time-limited link)
+// instead of the file itself. Local links are served by GET /storage/<key>.
+// --------------------------------------------------------------------------------------
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "off").toLowerCase();
+const STORAGE_DIR = path.resolve(
+  process.env.STORAGE_DIR || path.join(".tmp", "storage")
+);
+const STORAGE_PREFIX = process.env.STORAGE_PREFIX || "";
+const STORAGE_LINK_TTL_MS = Math.max(
+  1000,
+  envInt("STORAGE_LINK_TTL_MS", 60 * 60 * 1000)
+);
+const STORAGE_TIMEOUT_MS = envInt("STORAGE_TIMEOUT_MS", 30000);
+// S3 presigned URLs are valid for at most 7 days
+const S3_MAX_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+const STORAGE_KEY_RE = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+const STORAGE_CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".webp": "image/webp",
+  ".zip": "application/zip",
+};
+
+function validStorageKey(key) {
+  return (
+    typeof key === "string" &&
+    STORAGE_KEY_RE.test(key) &&
+    !key.split("/").some((seg) => seg === "." || seg === "..")
+  );
+}
+
+// <prefix><yyyy-mm-dd>/<uuid>/<filename>: unguessable, and easy to expire by day
+function storageKey(filename) {
+  const day = new Date().toISOString().slice(0, 10);
+  return `${STORAGE_PREFIX}${day}/${crypto.randomUUID()}/${filename}`;
+}
+
+function signLocalLink(secret, key, expires) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${key}\n${expires}`)
+    .digest("hex");
+}
+
+// Storage contract: put(key, buffer, contentType) writes the object; link(req, key,
+// filename) -> { url, expiresAt }. Local storage also has sweep(), which deletes files
+// whose links have expired.
+function createLocalStorage(dir, publicUrl, secret) {
+  fs.mkdirSync(dir, { recursive: true });
+  const ephemeralSecret = !secret;
+  // Without a configured secret, links stop working when the process restarts
+  if (!secret) secret = crypto.randomBytes(32).toString("hex");
+  const baseUrl = publicUrl.replace(/\/+$/, "");
+
+  // Depth-first; returns true when the directory ended up empty
+  const sweepDir = async (current, cutoff, removed) => {
+    let empty = true;
+    for (const entry of await fs.promises.readdir(current, {
+      withFileTypes: true,
+    })) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (await sweepDir(full, cutoff, removed)) {
+          await fs.promises.rmdir(full).catch(() => {});
+        } else {
+          empty = false;
+        }
+        continue;
+      }
+      const stat = await fs.promises.stat(full).catch(() => null);
+      if (stat && stat.mtimeMs <= cutoff) {
+        await fs.promises.unlink(full).catch(() => {});
+        removed.count++;
+      } else {
+        empty = false;
+      }
+    }
+    return empty;
+  };
+
+  return {
+    kind: "local",
+    dir,
+    ephemeralSecret,
+    async put(key, buffer) {
+      const file = path.join(dir, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write-then-rename so a download never sees a partial file
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+    link(req, key) {
+      const expires = Math.floor((Date.now() + STORAGE_LINK_TTL_MS) / 1000);
+      const signature = signLocalLink(secret, key, expires);
+      return {
+        url: `${baseUrl}/storage/${key}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000).toISOString(),
+      };
+    },
+    // "ok", "expired" or "invalid"
+    verify(key, expires, signature) {
+      const exp = Number(expires);
+      if (!Number.isInteger(exp) || typeof signature !== "string") {
+        return "invalid";
+      }
+      const expected = Buffer.from(signLocalLink(secret, key, exp));
+      const given = Buffer.from(signature);
+      if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(given, expected)
+      ) {
+        return "invalid";
+      }
+      return Date.now() > exp * 1000 ? "expired" : "ok";
+    },
+    // A link is issued right after its file is written, so a file older than the link
+    // TTL can no longer be downloaded
+    async sweep(now = Date.now()) {
+      const removed = { count: 0 };
+      await sweepDir(dir, now - STORAGE_LINK_TTL_MS, removed);
+      return removed.count;
+    },
+  };
+}
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function s3Encode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function hmacSha256(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// S3-compatible storage (AWS, MinIO, R2, ...) signed with AWS Signature Version 4
+function createS3Storage(config) {
+  const {
+    bucket,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken,
+    forcePathStyle,
+  } = config;
+  const endpoint = config.endpoint.replace(/\/+$/, "");
+  const publicEndpoint = (config.publicEndpoint || endpoint).replace(
+    /\/+$/,
+    ""
+  );
+
+  const objectUrl = (base, key) => {
+    const encodedKey = key.split("/").map(s3Encode).join("/");
+    const url = new URL(base);
+    if (forcePathStyle) {
+      url.pathname = `${url.pathname.replace(
+        /\/$/,
+        ""
+      )}/${bucket}/${encodedKey}`;
+    } else {
+      url.host = `${bucket}.${url.host}`;
+      url.pathname = `/${encodedKey}`;
+    }
+    return url;
+  };
+
+  // Headers are lowercase names -> values, and must include host
+  const sign = (method, url, headers, query, payloadHash, now) => {
+    const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((k) => `${s3Encode(k)}=${s3Encode(query[k])}`)
+      .join("&");
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      names.map((n) => `${n}:${String(headers[n]).trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest),
+    ].join("\n");
+    let signingKey = hmacSha256(`AWS4${secretAccessKey}`, date);
+    for (const part of [region, "s3", "aws4_request"]) {
+      signingKey = hmacSha256(signingKey, part);
+    }
+    return {
+      signature: hmacSha256(signingKey, stringToSign).toString("hex"),
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: names.join(";"),
+      canonicalQuery,
+    };
+  };
+
+  const presign = (
+    key,
+    expiresSeconds,
+    { filename, now = new Date() } = {}
+  ) => {
+    const url = objectUrl(publicEndpoint, key);
+    const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${amzDate.slice(
+        0,
+        8
+      )}/${region}/s3/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(expiresSeconds),
+      "X-Amz-SignedHeaders": "host",
+    };
+    if (sessionToken) query["X-Amz-Security-Token"] = sessionToken;
+    if (filename) {
+      query[
+        "response-content-disposition"
+      ] = `attachment; filename="${filename}"`;
+    }
+    const { signature, canonicalQuery } = sign(
+      "GET",
+      url,
+      { host: url.host },
+      query,
+      "UNSIGNED-PAYLOAD",
+      now
+    );
+    url.search = `${canonicalQuery}&X-Amz-Signature=${signature}`;
+    return url.toString();
+  };
+
+  return {
+    kind: "s3",
+    bucket,
+    presign,
+    async put(key, buffer, contentType) {
+      const url = objectUrl(endpoint, key);
+      const now = new Date();
+      const payloadHash = sha256Hex(buffer);
+      const headers = {
+        host: url.host,
+        "content-type": contentType,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": now
+          .toISOString()
+          .replace(/[-:]/g, "")
+          .replace(/\.\d+/, ""),
+      };
+      if (sessionToken) headers["x-amz-security-token"] = sessionToken;
+      const { signature, credential, signedHeaders } = sign(
+        "PUT",
+        url,
+        headers,
+        {},
+        payloadHash,
+        now
+      );
+      // fetch sets Host itself (same value as signed)
+      const { host: _host, ...sent } = headers;
+      const resp = await fetch(url, {
+        method: "PUT",
+        headers: {
+          ...sent,
+          Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        },
+        body: buffer,
+        signal: AbortSignal.timeout(STORAGE_TIMEOUT_MS),
+      });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+        throw new Error(
+          `S3 PUT failed with HTTP ${resp.status}${code ? ` (${code})` : ""}`
+        );
+      }
+    },
+    link(req, key, filename) {
+      const seconds = Math.min(
+        S3_MAX_LINK_TTL_SECONDS,
+        Math.ceil(STORAGE_LINK_TTL_MS / 1000)
+      );
+      return {
+        url: presign(key, seconds, { filename }),
+        expiresAt: new Date(Date.now() + seconds * 1000).toISOString(),
+      };
+    },
+  };
+}
+
+function createOutputStorage(kind) {
+  if (kind === "off" || kind === "none" || kind === "") return null;
+  if (STORAGE_PREFIX && !validStorageKey(`${STORAGE_PREFIX}x`)) {
+    throw new Error(
+      `Invalid STORAGE_PREFIX "${STORAGE_PREFIX}" (letters, digits, . _ - and /)`
+    );
+  }
+  if (kind === "local") {
+    const publicUrl = process.env.STORAGE_PUBLIC_URL || PUBLIC_BASE_URL;
+    if (!publicUrl) {
+      throw new Error(
+        "STORAGE_BACKEND=local needs STORAGE_PUBLIC_URL or PUBLIC_BASE_URL to build download links"
+      );
+    }
+    return createLocalStorage(
+      STORAGE_DIR,
+      publicUrl,
+      process.env.STORAGE_SIGNING_SECRET
+    );
+  }
+  if (kind === "s3") {
+    const region = process.env.S3_REGION || "us-east-1";
+    const config = {
+      bucket: process.env.S3_BUCKET,
+      region,
+      endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+      publicEndpoint: process.env.S3_PUBLIC_ENDPOINT,
+      accessKeyId:
+        process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey:
+        process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken:
+        process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN,
+      // MinIO and most self-hosted stores only do path-style addressing
+      forcePathStyle:
+        parseBooleanOption(process.env.S3_FORCE_PATH_STYLE || "") ??
+        Boolean(process.env.S3_ENDPOINT),
+    };
+    const missing = ["bucket", "accessKeyId", "secretAccessKey"].filter(
+      (k) => !config[k]
+    );
+    if (missing.length) {
+      throw new Error(
+        `STORAGE_BACKEND=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (missing: ${missing.join(
+          ", "
+        )})`
+      );
+    }
+    return createS3Storage(config);
+  }
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${kind}" (expected off, local or s3)`
+  );
+}
+
+const outputStorage = createOutputStorage(STORAGE_BACKEND);
+
+// Read "store" from the JSON body or query; sets req.storeOutput. Returns false/true, or
+// null after responding with 400.
+function parseStoreOption(req, res) {
+  const raw =
+    req.body && typeof req.body === "object" && req.body.store !== undefined
+      ? req.body.store
+      : req.query && req.query.store;
+  if (raw === undefined) return false;
+  const store = parseBooleanOption(raw);
+  if (store === undefined) {
+    res.status(400).json({
+      error: "Invalid store option",
+      details: { field: "store", message: "Expected a boolean" },
+    });
+    return null;
+  }
+  if (store && !outputStorage) {
+    res.status(400).json({
+      error: "Output storage is not configured",
+      code: "STORAGE_NOT_CONFIGURED",
+      details: {
+        field: "store",
+        message: "Set STORAGE_BACKEND to local or s3 to use store=true",
+      },
+    });
+    return null;
+  }
+  if (store && req.renderTrace) {
+    res.status(400).json({
+      error: "Invalid store option",
+      details: { field: "store", message: "Cannot be combined with debug" },
+    });
+    return null;
+  }
+  req.storeOutput = store;
+  return store;
+}
+
+// store=true success: write the output, then answer 201 with where to fetch it. The caller's
+// pages are charged only once the write succeeded; a failed write costs nothing.
+async function sendStoredOutput(
+  req,
+  res,
+  buffer,
+  contentType,
+  filename,
+  pages
+) {
+  const key = storageKey(filename);
+  const started = Date.now();
+  try {
+    await outputStorage.put(key, buffer, contentType);
+  } catch (err) {
+    metrics.storageWrites.inc({ backend: outputStorage.kind, result: "error" });
+    log.error("storage_write_failed", {
+      reqId: req.reqId,
+      backend: outputStorage.kind,
+      key,
+      error: err?.message || String(err),
+    });
+    err.status = 502;
+    err.code = "STORAGE_WRITE_FAILED";
+    res.removeHeader("ETag");
+    return sendRenderError(req, res, err, "Failed to store output");
+  }
+  metrics.storageWrites.inc({ backend: outputStorage.kind, result: "ok" });
+  recordPageUsage(req.apiKey, pages);
+  const kind = contentType.startsWith("image/")
+    ? "image"
+    : contentType === "application/zip"
+    ? "zip"
+    : "pdf";
+  metrics.outputBytes.observe({ kind }, buffer.length);
+  const { url, expiresAt } = outputStorage.link(req, key, filename);
+  log.info("storage_write", {
+    reqId: req.reqId,
+    backend: outputStorage.kind,
+    key,
+    bytes: buffer.length,
+    ms: Date.now() - started,
+  });
+  // The JSON points at one stored copy; it is not the cached output the ETag names
+  res.removeHeader("ETag");
+  res.set("Cache-Control", "no-store");
+  res.status(201).json({
+    backend: outputStorage.kind,
+    bucket: outputStorage.bucket,
+    key,
+    filename,
+    contentType,
+    size: buffer.length,
+    sha256: sha256Hex(buffer),
+    url,
+    expiresAt,
+  });
+}
+
+// Signed downloads for the local backend; the signature stands in for the API key
+app.get("/storage/*", (req, res) => {
+  if (!outputStorage || outputStorage.kind !== "local") {
+    return res.status(404).json({ error: "Not Found" });
+  }
+  const key = req.params[0];
+  if (!validStorageKey(key)) {
+    return res.status(404).json({ error: "Not Found" });
+  }
+  const verdict = outputStorage.verify(
+    key,
+    req.query.expires,
+    req.query.signature
+  );
+  if (verdict !== "ok") {
+    log.warn("storage_link_rejected", { reqId: req.reqId, key, verdict });
+    return res.status(403).json({
+      error:
+        verdict === "expired" ? "Download link expired" : "Invalid signature",
+      code: verdict === "expired" ? "LINK_EXPIRED" : "INVALID_SIGNATURE",
+    });
+  }
+  const filename = path.basename(key);
+  res.sendFile(
+    key,
+    {
+      root: outputStorage.dir,
+      headers: {
+        "Content-Type":
+          STORAGE_CONTENT_TYPES[path.extname(filename).toLowerCase()] ||
+          "application/octet-stream",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, no-store",
+      },
+    },
+    (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Not Found" });
+      }
+    }
+  );
+});
+
+// --------------------------------------------------------------------------------------
+// Outputs: how to render a buffer on a browser and how to send it back. Every render mode
+// below works with any output: render(browser) -> { buffer, page }, deliver(buffer, mode),
+// plus cacheKey (null unless the render cache is on).
+// --------------------------------------------------------------------------------------
+function pdfOutput(req, res, source, pdfOptions, documentOptions) {
+  return {
+    label: "PDF",
+    cacheKey: renderCacheKey(req, "pdf", {
+      source,
+      pdfOptions,
+      documentOptions,
+    }),
+    render: async (browser) => {
+      const { pdfBuffer, page, resources } = await renderPdfFromHtml(
+        source,
+        browser,
+        req.reqId,
+        pdfOptions,
+        RENDER_TIMEOUTS,
+        { signal: req.abortSignal, trace: req.renderTrace }
+      );
+      setResourceHeaders(res, resources);
+      try {
+        const buffer = await traced(
+          req.renderTrace,
+          "post_process",
+          postProcessPdf(pdfBuffer, documentOptions, req.reqId, pdfOptions)
+        );
+        return { buffer, page };
+      } catch (err) {
+        try {
+          await page.close({ runBeforeUnload: false });
+        } catch (_) {}
+        throw err;
+      }
+    },
+    // Cached copies were already counted against the quota when first rendered
+    deliver: async (pdfBuffer, mode, { cached = false } = {}) => {
+      const filename = safeFilename(req.query && req.query.filename);
+      log.info(`${mode}_send_pdf`, {
+        reqId: req.reqId,
+        bytes: pdfBuffer.length,
+        filename,
+      });
+      const pages = cached ? 0 : countPdfPages(pdfBuffer);
+      if (!req.storeOutput) recordPageUsage(req.apiKey, pages);
+      if (req.renderTrace) {
+        sendDebugEnvelope(req, res, pdfBuffer, "application/pdf", filename);
+      } else if (req.storeOutput) {
+        return await sendStoredOutput(
+          req,
+          res,
+          pdfBuffer,
+          "application/pdf",
+          filename,
+          pages
+        );
+      } else {
+        sendPdfBuffer(res, pdfBuffer, filename);
+      }
+    },
+  };
+}
+
+function imageOutput(req, res, source, imageOptions) {
+  return {
+    label: "image",
+    cacheKey: renderCacheKey(req, "image", { source, imageOptions }),
+    render: async (browser) => {
+      const { imageBuffer, page, resources } = await renderImageFromHtml(
+        source,
+        browser,
+        req.reqId,
+        imageOptions,
+        RENDER_TIMEOUTS,
+        { signal: req.abortSignal, trace: req.renderTrace }
+      );
+      setResourceHeaders(res, resources);
+      return { buffer: imageBuffer, page };
+    },
+    deliver: async (imageBuffer, mode, { cached = false } = {}) => {
+      const ext =
+        imageOptions.format === "jpeg" ? ".jpg" : `.${imageOptions.format}`;
+      const filename = safeFilename(
+        req.query && req.query.filename,
+        `image${ext}`,
+        ext
+      );
+      log.info(`${mode}_send_image`, {
+        reqId: req.reqId,
+        bytes: imageBuffer.length,
+        format: imageOptions.format,
+        filename,
+      });
+      const pages = cached ? 0 : 1;
+      if (!req.storeOutput) recordPageUsage(req.apiKey, pages);
+      if (req.renderTrace) {
+        const type = `image/${imageOptions.format}`;
+        sendDebugEnvelope(req, res, imageBuffer, type, filename);
+      } else if (req.storeOutput) {
+        const type = `image/${imageOptions.format}`;
+        return await sendStoredOutput(
+          req,
+          res,
+          imageBuffer,
+          type,
+          filename,
+          pages
+        );
+      } else {
+        sendImageBuffer(res, imageBuffer, imageOptions.format, filename);
+      }
+    },
+  };
+}
+
+// --------------------------------------------------------------------------------------
+// Render modes: where a request's page comes from. Every mode hands out a lease
+// { target, release(rendered) }, where target is anything with newPage() (a browser or a
+// browser context). renderWithMode runs the shared pipeline around it.
+//   isolated  - a single-use browser per request (slowest, nothing shared)
+//   optimized - a page on a pooled persistent browser (fastest, shares cookies/storage/cache)
+//   context   - a fresh browser context on a pooled browser (isolated storage, pooled cost)
+// --------------------------------------------------------------------------------------
+// Single-use browsers still open, so shutdown can force-close them after the drain
+const isolatedBrowsers = new Set();
+let contextPagesInFlight = 0;
+
+async function leaseIsolatedBrowser(req) {
+  isolatedPagesInFlight++;
+  let browser = null;
+  try {
+    log.info("isolated_launch_browser", { reqId: req.reqId });
+    browser = await traced(
+      req.renderTrace,
+      "browser_launch",
+      timePhase("browser_launch", puppeteer.launch(PUPPETEER_LAUNCH_OPTIONS))
+    ).catch((err) => {
+      err.code = "BROWSER_LAUNCH_FAILED";
+      throw err;
+    });
+  } catch (err) {
+    isolatedPagesInFlight--;
+    throw err;
+  }
+  isolatedBrowsers.add(browser);
+  log.info("isolated_browser_launched", { reqId: req.reqId });
+  return {
+    target: browser,
+    release: async () => {
+      isolatedPagesInFlight--;
+      try {
+        log.info("isolated_close_browser", { reqId: req.reqId });
+        await browser.close();
+      } catch (_) {}
+      isolatedBrowsers.delete(browser);
+    },
+  };
+}
+
+async function leasePooledBrowser(req) {
+  log.info("optimized_get_browser", { reqId: req.reqId });
+  const slot = await traced(
+    req.renderTrace,
+    "queue",
+    acquirePageSlot(req.reqId, req.abortSignal)
+  );
+  try {
+    const browser = await traced(
+      req.renderTrace,
+      "browser_launch",
+      launchPersistentBrowser(slot)
+    );
+    return {
+      slot,
+      target: browser,
+      release: async (rendered) => releasePageSlot(slot, rendered),
+    };
+  } catch (err) {
+    releasePageSlot(slot, false);
+    throw err;
+  }
+}
+
+async function leaseBrowserContext(req) {
+  const pooled = await leasePooledBrowser(req);
+  let context;
+  try {
+    context = await pooled.target.createBrowserContext();
+  } catch (err) {
+    await pooled.release(false);
+    throw err;
+  }
+  contextPagesInFlight++;
+  log.info("context_created", { reqId: req.reqId, browser: pooled.slot.id });
+  return {
+    target: context,
+    release: async (rendered) => {
+      contextPagesInFlight--;
+      try {
+        // Disposes the context's cookies, storage and cache along with its pages
+        await context.close();
+        log.info("context_closed", { reqId: req.reqId });
+      } catch (_) {}
+      await pooled.release(rendered);
+    },
+  };
+}
+
+const RENDER_MODES = {
+  isolated: leaseIsolatedBrowser,
+  optimized: leasePooledBrowser,
+  context: leaseBrowserContext,
+};
+
+// The one render pipeline: cache lookup, lease, render, cache store, deliver; on failure
+// or cancellation the page and lease are cleaned up and the error is answered once
+async function renderWithMode(req, res, mode, output) {
+  req.renderMode = mode;
+  let lease = null;
+  let page = null;
+  let released = false;
+  const release = async (rendered) => {
+    if (!lease || released) return;
+    released = true;
+    await lease.release(rendered);
+  };
+
+  try {
+    if (await respondFromCache(req, res, output)) return;
+    lease = await RENDER_MODES[mode](req);
+    // The client may have left while waiting for a slot or a browser
+    throwIfCancelled(req.abortSignal);
+    const { buffer, page: createdPage } = await output.render(lease.target);
+    page = createdPage;
+    throwIfCancelled(req.abortSignal);
+    lastRenderAt = new Date().toISOString();
+
+    // Only the buffer is needed from here on: give the page and pool slot back now, so a
+    // slow client or storage upload does not hold a browser
+    try {
+      if (page && !page.isClosed()) {
+        log.info(`${mode}_close_page_finish`, { reqId: req.reqId });
+        await page.close({ runBeforeUnload: false });
+      }
+    } catch (_) {}
+    await release(true);
+
+    await storeInCache(req, res, output, buffer);
+    await output.deliver(buffer, mode);
+  } catch (err) {
+    const reason = err.cancelled ? "cancel" : "error";
+    try {
+      if (page && !page.isClosed()) {
+        log.warn(`${mode}_${reason}_close_page`, { reqId: req.reqId });
+        await page.close({ runBeforeUnload: false });
+      }
+    } catch (_) {}
+    await release(false);
+    if (err.cancelled) {
+      log.info("render_cancelled", { reqId: req.reqId, mode });
+    } else if (!res.headersSent) {
+      log.error(`${mode}_error`, {
+        reqId: req.reqId,
+        code: errorCodeFor(err),
+        error: err?.message || String(err),
+      });
+      sendRenderError(
+        req,
+        res,
+        err,
+        `Failed to generate ${output.label} (${mode})`
+      );
+    }
+  }
+}
+
+// --------------------------------------------------------------------------------------
+// Endpoints: POST /generate-pdf/<mode> and /generate-image/<mode> for every render mode
+// --------------------------------------------------------------------------------------
+for (const mode of Object.keys(RENDER_MODES)) {
+  app.get(`/generate-pdf/${mode}`, methodNotAllowedInfo);
+  app.post(`/generate-pdf/${mode}`, async (req, res) => {
+    const source = await ensureHtmlInput(req, res);
+    if (source === null) return;
+    const pdfOptions = parsePdfOptions(req, res);
+    if (pdfOptions === null) return;
+    const documentOptions = parseDocumentOptions(req, res);
+    if (documentOptions === null) return;
+    if (parseDebugOption(req, res) === null) return;
+    if (parseStoreOption(req, res) === null) return;
+    await renderWithMode(
+      req,
+      res,
+      mode,
+      pdfOutput(req, res, source, pdfOptions, documentOptions)
+    );
+  });
+
+  app.get(`/generate-image/${mode}`, methodNotAllowedInfo);
+  app.post(`/generate-image/${mode}`, async (req, res) => {
+    const source = await ensureHtmlInput(req, res);
+    if (source === null) return;
+    const imageOptions = parseImageOptions(req, res);
+    if (imageOptions === null) return;
+    if (parseDebugOption(req, res) === null) return;
+    if (parseStoreOption(req, res) === null) return;
+    await renderWithMode(
+      req,
+      res,
+      mode,
+      imageOutput(req, res, source, imageOptions)
+    );
+  });
+}
+
+// --------------------------------------------------------------------------------------
+// Async jobs: POST /jobs returns immediately; GET /jobs/:id and /jobs/:id/result poll and
+// download. Jobs and results live in a pluggable store and expire after JOB_TTL_MS.
+// --------------------------------------------------------------------------------------
+const JOB_STORE = (process.env.JOB_STORE || "memory").toLowerCase();
+const JOB_STORE_DIR = path.resolve(
+  process.env.JOB_STORE_DIR || path.join(".tmp", "jobs")
+);
+const JOB_TTL_MS = envInt("JOB_TTL_MS", 60 * 60 * 1000);
+const JOB_CONCURRENCY = Math.max(1, envInt("JOB_CONCURRENCY", 2));
+const JOB_TIMEOUTS = {
+  content: envInt("JOB_CONTENT_TIMEOUT_MS", 120000),
+  ready: envInt("JOB_READY_TIMEOUT_MS", 60000),
+  pdf: envInt("JOB_PDF_TIMEOUT_MS", 120000),
+};
+const JOB_WEBHOOK_SECRET = process.env.JOB_WEBHOOK_SECRET || "";
+const JOB_WEBHOOK_TIMEOUT_MS = envInt("JOB_WEBHOOK_TIMEOUT_MS", 10000);
+const JOB_WEBHOOK_ATTEMPTS = Math.max(1, envInt("JOB_WEBHOOK_ATTEMPTS", 3));
+// Renders that could not get a pool slot go back in the queue, up to JOB_MAX_ATTEMPTS runs;
+// any other error (a browser that will not launch included) fails the job
+const JOB_MAX_ATTEMPTS = Math.max(1, envInt("JOB_MAX_ATTEMPTS", 5));
+const JOB_REQUEUE_CODES = new Set([
+  "QUEUE_FULL",
+  "QUEUE_TIMEOUT",
+  "SHUTTING_DOWN",
+]);
+
+// Store contract (all async): create(job), get(id), update(id, patch) -> job|null,
+// saveResult(id, buffer), readResult(id) -> Buffer|null, remove(id), list() -> jobs
+function createMemoryJobStore() {
+  const jobs = new Map();
+  const results = new Map();
+  return {
+    kind: "memory",
+    async create(job) {
+      jobs.set(job.id, { ...job });
+      return { ...job };
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, patch);
+      return { ...job };
+    },
+    async saveResult(id, buffer) {
+      results.set(id, buffer);
+    },
+    async readResult(id) {
+      return results.get(id) || null;
+    },
+    async remove(id) {
+      jobs.delete(id);
+      results.delete(id);
+    },
+    async list() {
+      return Array.from(jobs.values(), (job) => ({ ...job }));
+    },
+  };
+}
+
+function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Ids are generated by us (UUIDs), but never let one escape the store directory
+  const file = (id, ext) => {
+    if (!/^[a-zA-Z0-9-]+$/.test(id)) throw new Error("Invalid job id");
+    return path.join(dir, `${id}.${ext}`);
+  };
+  // Request credentials (network headers and cookies) never reach the disk: they stay in
+  // this process's memory, so a job that needs them cannot resume after a restart
+  const credentials = new Map();
+  const redact = (job) => {
+    const network = job.input && job.input.source && job.input.source.network;
+    if (
+      !network ||
+      (!Object.keys(network.headers || {}).length &&
+        !Object.keys(network.cookies || {}).length)
+    ) {
+      credentials.delete(job.id);
+      return job;
+    }
+    credentials.set(job.id, {
+      headers: network.headers,
+      cookies: network.cookies,
+    });
+    const source = {
+      ...job.input.source,
+      network: { ...network, headers: {}, cookies: {}, redacted: true },
+    };
+    return { ...job, input: { ...job.input, source } };
+  };
+  const readJob = async (id) => {
+    let job;
+    try {
+      job = JSON.parse(await fs.promises.readFile(file(id, "json"), "utf8"));
+    } catch (_) {
+      return null;
+    }
+    const network = job.input && job.input.source && job.input.source.network;
+    const saved = credentials.get(id);
+    if (network && network.redacted && saved) {
+      delete network.redacted;
+      Object.assign(network, saved);
+    }
+    return job;
+  };
+  const writeJob = async (job) => {
+    // Write-then-rename so a crash never leaves a truncated record behind
+    const tmp = file(job.id, `json.${process.pid}.tmp`);
+    await fs.promises.writeFile(tmp, JSON.stringify(redact(job)));
+    await fs.promises.rename(tmp, file(job.id, "json"));
+  };
+  return {
+    kind: "fs",
+    async create(job) {
+      await writeJob(job);
+      return job;
+    },
+    get: readJob,
+    async update(id, patch) {
+      const job = await readJob(id);
+      if (!job) return null;
+      Object.assign(job, patch);
+      await writeJob(job);
+      return job;
+    },
+    async saveResult(id, buffer) {
+      // Same write-then-rename as writeJob: readers never see a partial PDF
+      const tmp = file(id, `pdf.${process.pid}.tmp`);
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file(id, "pdf"));
+    },
+    async readResult(id) {
+      try {
+        return await fs.promises.readFile(file(id, "pdf"));
+      } catch (_) {
+        return null;
+      }
+    },
+    async remove(id) {
+      credentials.delete(id);
+      for (const ext of ["json", "pdf"]) {
+        try {
+          await fs.promises.unlink(file(id, ext));
+        } catch (_) {}
+      }
+    },
+    async list() {
+      const names = await fs.promises.readdir(dir);
+      const jobs = await Promise.all(
+        names
+          .filter((n) => n.endsWith(".json"))
+          .map((n) => readJob(n.slice(0, -".json".length)))
+      );
+      return jobs.filter(Boolean);
+    },
+  };
+}
+
+function createJobStore(kind) {
+  if (kind === "memory") return createMemoryJobStore();
+  if (kind === "fs" || kind === "file")
+    return createFileJobStore(JOB_STORE_DIR);
+  throw new Error(`Unknown JOB_STORE "${kind}" (expected memory or fs)`);
+}
+
+const jobStore = createJobStore(JOB_STORE);
+const jobQueue = [];
+let jobsRunning = 0;
+
+// Public view of a job record (the stored input is never echoed back)
+function publicJob(job) {
+  const base = job.baseUrl;
+  return {
+    id: job.id,
+    status: job.status,
+    filename: job.filename,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    expiresAt: job.expiresAt,
+    attempts: job.attempts || 0,
+    bytes: job.bytes ?? null,
+    error: job.error || null,
+    errorCode: job.errorCode || null,
+    errorDetails: job.errorDetails || null,
+    statusUrl: base,
+    resultUrl: job.status === "done" ? `${base}/result` : null,
+  };
+}
+
+function enqueueJob(id) {
+  jobQueue.push(id);
+  runQueuedJobs();
+}
+
+function runQueuedJobs() {
+  // Queued jobs stay queued in the store during shutdown (the fs store resumes them)
+  while (!shuttingDown && jobsRunning < JOB_CONCURRENCY && jobQueue.length) {
+    const id = jobQueue.shift();
+    jobsRunning++;
+    runJob(id)
+      .catch((err) =>
+        log.error("job_runner_error", { jobId: id, error: err?.message })
+      )
+      .finally(() => {
+        jobsRunning--;
+        runQueuedJobs();
+      });
+  }
+}
+
+async function runJob(id) {
+  const job = await jobStore.get(id);
+  if (!job || job.status !== "queued") return;
+  const reqId = job.reqId || id;
+  const attempts = (job.attempts || 0) + 1;
+  await jobStore.update(id, {
+    status: "running",
+    startedAt: new Date().toISOString(),
+    attempts,
+  });
+  log.info("job_started", { reqId, jobId: id, attempts });
+
+  let patch;
+  try {
+    const pdfBuffer = await postProcessPdf(
+      await renderPdfWithPool(
+        job.input.source,
+        job.input.pdfOptions,
+        reqId,
+        JOB_TIMEOUTS
+      ),
+      job.input.documentOptions,
+      reqId,
+      job.input.pdfOptions
+    );
+    await jobStore.saveResult(id, pdfBuffer);
+    patch = { status: "done", bytes: pdfBuffer.length };
+    recordPageUsage(apiKeyById(job.keyId), countPdfPages(pdfBuffer));
+  } catch (err) {
+    // The pool is saturated (or draining for shutdown, where the fs store resumes the
+    // job); stay queued and try again after the advertised delay
+    if (
+      JOB_REQUEUE_CODES.has(err.code) &&
+      (attempts < JOB_MAX_ATTEMPTS || shuttingDown)
+    ) {
+      log.warn("job_requeued", {
+        reqId,
+        jobId: id,
+        attempts,
+        code: err.code,
+      });
+      await jobStore.update(id, { status: "queued", startedAt: null });
+      const delayMs = (err.retryAfter || POOL_RETRY_AFTER_SECONDS) * 1000;
+      setTimeout(() => enqueueJob(id), delayMs).unref();
+      return;
+    }
+    patch = {
+      status: "failed",
+      error: err?.message || String(err),
+      errorCode: errorCodeFor(err),
+      errorDetails: err?.details || null,
+    };
+  }
+
+  const completedAt = new Date();
+  const done = await jobStore.update(id, {
+    ...patch,
+    input: null,
+    completedAt: completedAt.toISOString(),
+    expiresAt: new Date(completedAt.getTime() + JOB_TTL_MS).toISOString(),
+  });
+  (patch.status === "done" ? log.info : log.error)("job_finished", {
+    reqId,
+    jobId: id,
+    status: patch.status,
+    bytes: patch.bytes,
+    code: patch.errorCode,
+    error: patch.error,
+  });
+  if (done && done.callbackUrl) await notifyJobWebhook(done);
+}
+
+// POST the final job state to the caller's callback URL; signed with HMAC-SHA256 when
+// JOB_WEBHOOK_SECRET is set. Redirects are not followed (the target was policy-checked).
+async function notifyJobWebhook(job) {
+  const verdict = await checkUrlPolicy(job.callbackUrl);
+  if (!verdict.ok) {
+    log.warn("job_webhook_blocked", { jobId: job.id, reason: verdict.reason });
+    return;
+  }
+  const resultUrl = job.status === "done" ? `${job.baseUrl}/result` : null;
+  const body = JSON.stringify({
+    id: job.id,
+    status: job.status,
+    filename: job.filename,
+    bytes: job.bytes ?? null,
+    error: job.error || null,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    statusUrl: job.baseUrl,
+    resultUrl,
+  });
+  const headers = { "Content-Type": "application/json", "X-Job-Id": job.id };
+  if (JOB_WEBHOOK_SECRET) {
+    const sig = crypto
+      .createHmac("sha256", JOB_WEBHOOK_SECRET)
+      .update(body)
+      .digest("hex");
+    headers["X-Signature"] = `sha256=${sig}`;
+  }
+
+  for (let attempt = 1; attempt <= JOB_WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      const status = await postWithPolicy(
+        verdict.url,
+        headers,
+        body,
+        JOB_WEBHOOK_TIMEOUT_MS
+      );
+      if (status >= 200 && status < 300) {
+        log.info("job_webhook_sent", { jobId: job.id, status });
+        return;
+      }
+      log.warn("job_webhook_failed", { jobId: job.id, attempt, status });
+    } catch (err) {
+      log.warn("job_webhook_failed", {
+        jobId: job.id,
+        attempt,
+        error: err?.message || String(err),
+      });
+    }
+    if (attempt < JOB_WEBHOOK_ATTEMPTS) {
+      await new Promise((r) => setTimeout(r, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+async function sweepExpiredJobs() {
+  const now = Date.now();
+  let removed = 0;
+  for (const job of await jobStore.list()) {
+    // Only finished jobs expire; queued/running ones are still owed a result
+    if (job.status !== "done" && job.status !== "failed") continue;
+    if (Date.parse(job.expiresAt) <= now) {
+      await jobStore.remove(job.id);
+      removed++;
+    }
+  }
+  if (removed) log.info("jobs_expired", { removed });
+}
+
+// After a restart (fs store): resume queued jobs, fail the ones that were mid-render or
+// whose request headers and cookies were dropped when the job was written to disk
+async function resumeStoredJobs() {
+  for (const job of await jobStore.list()) {
+    const network = job.input && job.input.source && job.input.source.network;
+    const redacted = Boolean(network && network.redacted);
+    if (job.status === "queued" && !redacted) {
+      enqueueJob(job.id);
+    } else if (job.status === "queued" || job.status === "running") {
+      const completedAt = new Date();
+      await jobStore.update(job.id, {
+        status: "failed",
+        error: redacted
+          ? "Interrupted by a service restart; request headers and cookies are not stored, submit the job again"
+          : "Interrupted by a service restart",
+        input: null,
+        completedAt: completedAt.toISOString(),
+        expiresAt: new Date(completedAt.getTime() + JOB_TTL_MS).toISOString(),
+      });
+    }
+  }
+}
+
+app.post("/jobs", async (req, res) => {
+  const source = await ensureHtmlInput(req, res);
+  if (source === null) return;
+  const pdfOptions = parsePdfOptions(req, res);
+  if (pdfOptions === null) return;
+  const documentOptions = parseDocumentOptions(req, res);
+  if (documentOptions === null) return;
+
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const callbackUrl = body.callbackUrl ?? (req.query && req.query.callbackUrl);
+  if (callbackUrl !== undefined) {
+    const verdict =
+      typeof callbackUrl === "string"
+        ? await checkUrlPolicy(callbackUrl)
+        : { ok: false, reason: "Expected a URL string" };
+    if (!verdict.ok) {
+      return res.status(400).json({
+        error: "Callback URL not allowed",
+        code: "URL_NOT_ALLOWED",
+        details: { callbackUrl, reason: verdict.reason },
+      });
+    }
+    // The webhook body links to the job; a relative path is useless to the receiver
+    if (!PUBLIC_BASE_URL) {
+      return res.status(400).json({
+        error: "Callback URL needs PUBLIC_BASE_URL",
+        details: {
+          field: "callbackUrl",
+          message: "Set PUBLIC_BASE_URL so the callback can link to the job",
+        },
+      });
+    }
+  }
+
+  const id = crypto.randomUUID();
+  const now = new Date();
+  const job = {
+    id,
+    reqId: req.reqId,
+    keyId: req.apiKey ? req.apiKey.id : null,
+    status: "queued",
+    filename: safeFilename(body.filename || (req.query && req.query.filename)),
+    callbackUrl: callbackUrl || null,
+    baseUrl: `${PUBLIC_BASE_URL}/jobs/${id}`,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + JOB_TTL_MS).toISOString(),
+    input: { source, pdfOptions, documentOptions },
+  };
+  try {
+    await jobStore.create(job);
+  } catch (err) {
+    log.error("job_store_error", { reqId: req.reqId, error: err?.message });
+    return res.status(500).json({
+      error: "Failed to create job",
+      details: err.message,
+    });
+  }
+  log.info("job_created", {
+    reqId: req.reqId,
+    jobId: id,
+    store: jobStore.kind,
+  });
+  enqueueJob(id);
+
+  res.status(202).location(job.baseUrl).json(publicJob(job));
+});
+
+// Jobs are only visible to the API key that created them
+async function findOwnJob(req) {
+  const job = await jobStore.get(req.params.id).catch(() => null);
+  if (!job) return null;
+  if (AUTH_ENABLED && job.keyId !== (req.apiKey && req.apiKey.id)) return null;
+  return job;
+}
+
+app.get("/jobs/:id", async (req, res) => {
+  const job = await findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.set("Cache-Control", "no-store");
+  res.json(publicJob(job));
+});
+
+app.get("/jobs/:id/result", async (req, res) => {
+  const job = await findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.status !== "done") {
+    return res.status(409).json({
+      error: "Job has no result",
+      details: { status: job.status, error: job.error || null },
+    });
+  }
+  const pdfBuffer = await jobStore.readResult(job.id).catch(() => null);
+  if (!pdfBuffer) return res.status(404).json({ error: "Job result expired" });
+  log.info("job_send_pdf", {
+    reqId: req.reqId,
+    jobId: job.id,
+    bytes: pdfBuffer.length,
+  });
+  sendPdfBuffer(res, pdfBuffer, job.filename);
+});
+
+// --------------------------------------------------------------------------------------
+// Templates: named Handlebars templates merged with JSON data before rendering.
+// Every template is also registered as a partial under its own name ({{> header}}).
+// --------------------------------------------------------------------------------------
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR
+  ? path.resolve(process.env.TEMPLATES_DIR)
+  : null;
+const TEMPLATE_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+const TEMPLATE_MAX_BYTES = 1024 * 1024;
+
+const templateEngine = Handlebars.create();
+const templates = new Map();
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// {{formatDate issuedAt locale="en-GB" dateStyle="long" timeZone="UTC"}}
+templateEngine.registerHelper("formatDate", (value, options) => {
+  const date = toDate(value);
+  if (!date) return value ?? "";
+  const { locale, ...format } = options.hash;
+  if (!format.dateStyle && !format.timeStyle) format.dateStyle = "medium";
+  return new Intl.DateTimeFormat(locale || "en-US", format).format(date);
+});
+// {{formatCurrency total "EUR" locale="de-DE"}}
+templateEngine.registerHelper("formatCurrency", (value, currency, options) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return value ?? "";
+  const code = typeof currency === "string" ? currency : "USD";
+  const { locale } = (typeof currency === "string" ? options : currency).hash;
+  return new Intl.NumberFormat(locale || "en-US", {
+    style: "currency",
+    currency: code,
+  }).format(amount);
+});
+// {{formatNumber qty maximumFractionDigits=2 locale="fr-FR"}}
+templateEngine.registerHelper("formatNumber", (value, options) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return value ?? "";
+  const { locale, ...format } = options.hash;
+  return new Intl.NumberFormat(locale || "en-US", format).format(n);
+});
+// {{#if (eq status "paid")}}
+templateEngine.registerHelper("eq", (a, b) => a === b);
+
+function templateFile(name) {
+  return path.join(TEMPLATES_DIR, `${name}.hbs`);
+}
+
+// Compile (which validates the syntax) and register a template; returns the stored record
+function registerTemplate(name, source, timestamps = {}) {
+  // Handlebars compiles lazily; parse now so syntax errors surface at registration
+  templateEngine.parse(source);
+  const compiled = templateEngine.compile(source);
+  const now = new Date().toISOString();
+  const existing = templates.get(name);
+  const record = {
+    name,
+    source,
+    compiled,
+    createdAt: timestamps.createdAt || existing?.createdAt || now,
+    updatedAt: timestamps.updatedAt || now,
+  };
+  templates.set(name, record);
+  templateEngine.registerPartial(name, source);
+  return record;
+}
+
+function templateInfo(record, withSource = false) {
+  const info = {
+    name: record.name,
+    bytes: Buffer.byteLength(record.source, "utf8"),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+  if (withSource) info.source = record.source;
+  return info;
+}
+
+function loadStoredTemplates() {
+  if (!TEMPLATES_DIR) return;
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  for (const file of fs.readdirSync(TEMPLATES_DIR)) {
+    const name = file.replace(/\.hbs$/, "");
+    if (name === file || !TEMPLATE_NAME_RE.test(name)) continue;
+    try {
+      const stat = fs.statSync(templateFile(name));
+      registerTemplate(name, fs.readFileSync(templateFile(name), "utf8"), {
+        createdAt: stat.birthtime.toISOString(),
+        updatedAt: stat.mtime.toISOString(),
+      });
+    } catch (err) {
+      log.error("template_load_error", { name, error: err?.message });
+    }
+  }
+  log.info("templates_loaded", { count: templates.size, dir: TEMPLATES_DIR });
+}
+
+// Validate a { source } body for POST/PUT; returns the source string or null after a 400
+function ensureTemplateSource(req, res, name) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const source = typeof req.body === "string" ? req.body : body.source;
+  const errors = [];
+  if (!TEMPLATE_NAME_RE.test(name || "")) {
+    errors.push({
+      field: "name",
+      message: "Expected 1-64 letters, digits, '_' or '-'",
+    });
+  }
+  if (typeof source !== "string" || source.trim() === "") {
+    errors.push({ field: "source", message: "Expected a non-empty string" });
+  } else if (Buffer.byteLength(source, "utf8") > TEMPLATE_MAX_BYTES) {
+    errors.push({
+      field: "source",
+      message: `Template exceeds ${TEMPLATE_MAX_BYTES} bytes`,
+    });
+  }
+  if (errors.length) {
+    res.status(400).json({
+      error: "Invalid template",
+      details: {
+        message:
+          'Send JSON { "name": "...", "source": "<html>{{...}}</html>" } (name comes from the path for PUT).',
+        errors,
+      },
+    });
+    return null;
+  }
+  return source;
+}
+
+async function saveTemplate(req, res, name, source, status) {
+  const previous = templates.get(name);
+  let record;
+  try {
+    record = registerTemplate(name, source);
+  } catch (err) {
+    return res.status(400).json({
+      error: "Invalid template",
+      details: { errors: [{ field: "source", message: err.message }] },
+    });
+  }
+  if (TEMPLATES_DIR) {
+    try {
+      await fs.promises.writeFile(templateFile(name), source);
+    } catch (err) {
+      // Keep serving what is on disk, as a restart would
+      if (previous) {
+        templates.set(name, previous);
+        templateEngine.registerPartial(name, previous.source);
+      } else {
+        templates.delete(name);
+        templateEngine.unregisterPartial(name);
+      }
+      log.error("template_store_error", { reqId: req.reqId, name });
+      return res.status(500).json({
+        error: "Failed to store template",
+        details: err.message,
+      });
+    }
+  }
+  log.info("template_saved", { reqId: req.reqId, name, status });
+  res.status(status).json(templateInfo(record));
+}
+
+app.get("/templates", (req, res) => {
+  res.json({
+    templates: Array.from(templates.values(), (t) => templateInfo(t)),
+  });
+});
+
+app.post("/templates", async (req, res) => {
+  if (!requireAdminKey(req, res)) return;
+  const name = req.body && typeof req.body === "object" ? req.body.name : null;
+  const source = ensureTemplateSource(req, res, name);
+  if (source === null) return;
+  if (templates.has(name)) {
+    return res.status(409).json({
+      error: "Template already exists",
+      details: { name, use: `PUT /templates/${name} to replace it` },
+    });
+  }
+  await saveTemplate(req, res, name, source, 201);
+});
+
+app.get("/templates/:name", (req, res) => {
+  const record = templates.get(req.params.name);
+  if (!record) return res.status(404).json({ error: "Template not found" });
+  res.json(templateInfo(record, true));
+});
+
+app.put("/templates/:name", async (req, res) => {
+  if (!requireAdminKey(req, res)) return;
+  const { name } = req.params;
+  const source = ensureTemplateSource(req, res, name);
+  if (source === null) return;
+  await saveTemplate(req, res, name, source, templates.has(name) ? 200 : 201);
+});
+
+app.delete("/templates/:name", async (req, res) => {
+  if (!requireAdminKey(req, res)) return;
+  const { name } = req.params;
+  if (!templates.has(name)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  templates.delete(name);
+  templateEngine.unregisterPartial(name);
+  if (TEMPLATES_DIR) {
+    try {
+      await fs.promises.unlink(templateFile(name));
+    } catch (_) {}
+  }
+  log.info("template_deleted", { reqId: req.reqId, name });
+  res.status(204).end();
+});
+
+app.post("/generate-pdf/from-template/:name", async (req, res) => {
+  const record = templates.get(req.params.name);
+  if (!record) return res.status(404).json({ error: "Template not found" });
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const data = body.data === undefined ? {} : body.data;
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return res.status(400).json({
+      error: "Expected template data",
+      details: {
+        message: 'Send JSON { "data": { ... } } with an object of values.',
+        receivedType: Array.isArray(data) ? "array" : typeof data,
+      },
+    });
+  }
+  const pdfOptions = parsePdfOptions(req, res);
+  if (pdfOptions === null) return;
+  const network = parseNetworkOptions(req, res);
+  if (network === undefined) return;
+  const page = parsePageOptions(req, res);
+  if (page === undefined) return;
+  const documentOptions = parseDocumentOptions(req, res);
+  if (documentOptions === null) return;
+  if (parseDebugOption(req, res) === null) return;
+  if (parseStoreOption(req, res) === null) return;
+
+  let html;
+  try {
+    html = record.compiled(data);
+  } catch (err) {
+    log.warn("template_render_error", {
+      reqId: req.reqId,
+      name: record.name,
+      error: err?.message,
+    });
+    return res.status(400).json({
+      error: "Template render failed",
+      details: { name: record.name, message: err.message },
+    });
+  }
+  log.info("template_rendered", {
+    reqId: req.reqId,
+    name: record.name,
+    bytes: Buffer.byteLength(html, "utf8"),
+  });
+  const source = { html };
+  if (network) source.network = network;
+  if (page) source.page = page;
+  await renderWithMode(
+    req,
+    res,
+    "optimized",
+    pdfOutput(req, res, source, pdfOptions, documentOptions)
+  );
+});
+
+// --------------------------------------------------------------------------------------
+// Batch: many HTML documents in one request -> one merged PDF (a bookmark per document)
+// or a ZIP of individual PDFs. Items fail individually; the batch fails only if all do.
+// --------------------------------------------------------------------------------------
+const BATCH_MAX_ITEMS = Math.max(1, envInt("BATCH_MAX_ITEMS", 200));
+const BATCH_CONCURRENCY = Math.max(1, envInt("BATCH_CONCURRENCY", 2));
+const BATCH_OUTPUTS = ["merged", "zip"];
+// Failure details are echoed in a header for merged output; keep it well under proxy limits
+const BATCH_ERRORS_HEADER_MAX = 4096;
+
+// Validate one batch item; returns { source, pdfOptions, filename, title } or { error }
+function prepareBatchItem(item, index, defaults) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { error: 'Expected an object with an "html" or "markdown" string' };
+  }
+  let html = item.html;
+  if (item.markdown !== undefined) {
+    const { options, errors } = validateMarkdownOptions({
+      theme: item.theme ?? defaults.theme,
+      css: item.css ?? defaults.css,
+    });
+    if (typeof item.markdown !== "string" || item.markdown.trim() === "") {
+      errors.unshift({
+        field: "markdown",
+        message: "Expected a non-empty string",
+      });
+    }
+    if (errors.length) {
+      return {
+        error: errors.map((e) => `${e.field}: ${e.message}`).join("; "),
+      };
+    }
+    html = renderMarkdownDocument(item.markdown, options);
+  } else if (typeof html !== "string" || html.trim() === "") {
+    return {
+      error: 'Expected a non-empty string property "html" or "markdown"',
+    };
+  }
+  const rawPdf = {
+    ...(defaults.pdf || {}),
+    ...(item.pdf && typeof item.pdf === "object" ? item.pdf : {}),
+  };
+  for (const key of ["headerTemplate", "footerTemplate"]) {
+    const value = item[key] ?? defaults[key];
+    if (value !== undefined && rawPdf[key] === undefined) rawPdf[key] = value;
+  }
+  const { options, errors } = validatePdfOptions(rawPdf);
+  if (options.archival) {
+    errors.push({
+      field: "pdf.archival",
+      message: "Not supported for batch or merged documents",
     });
   }
-
-  const length = Buffer.byteLength(html, "utf8");
-  log.info("validated_html", { reqId: req.reqId, bytes: length });
-  return html;
+  if (errors.length) {
+    return {
+      error: errors.map((e) => `${e.field}: ${e.message}`).join("; "),
+    };
+  }
+  const { network, errors: networkErrors } = validateNetworkOptions(
+    item.network ?? defaults.network,
+    item.assets ?? defaults.assets
+  );
+  if (networkErrors.length) {
+    return {
+      error: networkErrors.map((e) => `${e.field}: ${e.message}`).join("; "),
+    };
+  }
+  const { page, errors: pageErrors } = validatePageOptions(
+    item.page ?? defaults.page
+  );
+  if (pageErrors.length) {
+    return {
+      error: pageErrors.map((e) => `${e.field}: ${e.message}`).join("; "),
+    };
+  }
+  const filename = safeFilename(item.filename, `document-${index + 1}.pdf`);
+  const title =
+    typeof item.title === "string" && item.title.trim()
+      ? item.title.trim()
+      : filename.replace(/\.pdf$/i, "");
+  const source = { html };
+  if (item.markdown !== undefined) source.outline = true;
+  if (network) source.network = network;
+  if (page) source.page = page;
+  return { source, pdfOptions: options, filename, title };
 }
 
-// Helpful GET handlers to explain correct usage instead of ambiguous 404/400
-function methodNotAllowedInfo(req, res) {
-  return res.status(405).json({
-    error: "Method Not Allowed",
-    details: {
-      method: req.method,
-      use: 'POST with application/json { "html": "..." } or text/html|text/plain body containing the HTML',
-      path: req.originalUrl,
-    },
-  });
+// Run fn over items with at most `limit` in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () =>
+    (async () => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await fn(items[i], i);
+      }
+    })()
+  );
+  await Promise.all(workers);
+  return results;
 }
 
-// --------------------------------------------------------------------------------------
-// Endpoint 1: Isolated mode - launches a new single-use browser per request
-// --------------------------------------------------------------------------------------
-app.get("/generate-pdf/isolated", methodNotAllowedInfo);
-app.post("/generate-pdf/isolated", async (req, res) => {
-  const html = ensureHtmlInput(req, res);
-  if (html === null) return;
-
-  let browser = null;
-  let page = null;
+// De-duplicate names inside the archive: a.pdf, a-2.pdf, a-3.pdf ...
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = name.replace(/(\.[^.]+)?$/, `-${n}$1`);
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
 
-  try {
-    log.info("isolated_launch_browser", { reqId: req.reqId });
-    browser = await puppeteer.launch(PUPPETEER_LAUNCH_OPTIONS);
-    log.info("isolated_browser_launched", { reqId: req.reqId });
-    const { pdfBuffer, page: createdPage } = await renderPdfFromHtml(
-      html,
-      browser,
-      req.reqId
-    );
-    page = createdPage;
+app.get("/generate-pdf/batch", methodNotAllowedInfo);
+app.post("/generate-pdf/batch", async (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const documents = body.documents;
+  const output = body.output === undefined ? "merged" : body.output;
+  const errors = [];
+  if (!Array.isArray(documents) || documents.length === 0) {
+    errors.push({ field: "documents", message: "Expected a non-empty array" });
+  } else if (documents.length > BATCH_MAX_ITEMS) {
+    errors.push({
+      field: "documents",
+      message: `At most ${BATCH_MAX_ITEMS} documents per batch`,
+    });
+  }
+  if (!BATCH_OUTPUTS.includes(output)) {
+    errors.push({
+      field: "output",
+      message: `Expected one of ${BATCH_OUTPUTS.join(", ")}`,
+    });
+  }
+  if (errors.length) {
+    return res.status(400).json({
+      error: "Invalid batch",
+      details: {
+        message:
+          'Send JSON { "documents": [{ "html": "...", "filename": "a.pdf", "title": "...", "pdf": { ... } }], "output": "merged" | "zip" }.',
+        errors,
+      },
+    });
+  }
+  // Applied to the merged PDF, or to every PDF in the archive
+  const documentOptions = parseDocumentOptions(req, res);
+  if (documentOptions === null) return;
+  if (parseStoreOption(req, res) === null) return;
 
-    // Clean up browser and page right after the response is sent
-    res.on("finish", async () => {
-      try {
-        if (page && !page.isClosed()) {
-          log.info("isolated_close_page_finish", { reqId: req.reqId });
-          await page.close({ runBeforeUnload: false });
-        }
-      } catch (_) {}
+  req.renderMode = "optimized";
+  log.info("batch_start", {
+    reqId: req.reqId,
+    items: documents.length,
+    output,
+  });
+  const results = await mapWithConcurrency(
+    documents,
+    BATCH_CONCURRENCY,
+    async (item, index) => {
+      const prepared = prepareBatchItem(item, index, body);
+      if (prepared.error) {
+        return {
+          index,
+          status: "failed",
+          code: "INVALID_INPUT",
+          error: prepared.error,
+        };
+      }
+      const itemReqId = `${req.reqId}#${index + 1}`;
       try {
-        if (browser) {
-          log.info("isolated_close_browser_finish", { reqId: req.reqId });
-          await browser.close();
+        const pdfBuffer = await renderPdfWithPool(
+          prepared.source,
+          prepared.pdfOptions,
+          itemReqId,
+          RENDER_TIMEOUTS,
+          req.abortSignal
+        );
+        return { index, status: "ok", ...prepared, pdfBuffer };
+      } catch (err) {
+        if (!err.cancelled) {
+          log.warn("batch_item_error", {
+            reqId: itemReqId,
+            error: err?.message || String(err),
+          });
         }
-      } catch (_) {}
+        return {
+          index,
+          status: "failed",
+          filename: prepared.filename,
+          code: errorCodeFor(err),
+          error: err?.message || String(err),
+        };
+      }
+    }
+  );
+
+  // Nobody is left to receive the merged PDF or archive
+  if (req.abortSignal.aborted) {
+    log.info("render_cancelled", { reqId: req.reqId, mode: "batch" });
+    return;
+  }
+  const ok = results.filter((r) => r.status === "ok");
+  const failed = results.filter((r) => r.status === "failed");
+  const report = results.map((r) => ({
+    index: r.index,
+    filename: r.filename || null,
+    status: r.status,
+    bytes: r.pdfBuffer ? r.pdfBuffer.length : undefined,
+    code: r.code,
+    error: r.error,
+  }));
+  log.info("batch_rendered", {
+    reqId: req.reqId,
+    ok: ok.length,
+    failed: failed.length,
+  });
+  if (!ok.length) {
+    return res.status(422).json({
+      error: "All batch documents failed",
+      details: { results: report },
     });
+  }
 
-    const filename = safeFilename(req.query && req.query.filename);
-    log.info("isolated_send_pdf", {
-      reqId: req.reqId,
-      bytes: pdfBuffer.length,
-      filename,
+  try {
+    res.set({
+      "X-Batch-Total": String(results.length),
+      "X-Batch-Succeeded": String(ok.length),
+      "X-Batch-Failed": String(failed.length),
     });
-    sendPdfBuffer(res, pdfBuffer, filename);
-  } catch (err) {
-    // On error, attempt immediate cleanup since response might not be sent
-    try {
-      if (page && !page.isClosed()) {
-        log.warn("isolated_error_close_page", { reqId: req.reqId });
-        await page.close({ runBeforeUnload: false });
+    if (output === "zip") {
+      const zip = new JSZip();
+      const used = new Set(["manifest.json"]);
+      for (const r of ok) {
+        r.entryName = uniqueName(r.filename, used);
+        zip.file(
+          r.entryName,
+          await postProcessPdf(r.pdfBuffer, documentOptions, req.reqId)
+        );
       }
-    } catch (_) {}
-    try {
-      if (browser) {
-        log.warn("isolated_error_close_browser", { reqId: req.reqId });
-        await browser.close();
+      const manifest = report.map((r) => {
+        const entry = ok.find((o) => o.index === r.index);
+        return entry ? { ...r, filename: entry.entryName } : r;
+      });
+      zip.file("manifest.json", JSON.stringify({ results: manifest }, null, 2));
+      const zipBuffer = await zip.generateAsync({
+        type: "nodebuffer",
+        compression: "DEFLATE",
+      });
+      const filename = safeFilename(
+        body.filename || (req.query && req.query.filename),
+        "documents.zip",
+        ".zip"
+      );
+      log.info("batch_send_zip", {
+        reqId: req.reqId,
+        bytes: zipBuffer.length,
+        filename,
+      });
+      const pages = ok.reduce((n, r) => n + countPdfPages(r.pdfBuffer), 0);
+      if (req.storeOutput) {
+        return await sendStoredOutput(
+          req,
+          res,
+          zipBuffer,
+          "application/zip",
+          filename,
+          pages
+        );
       }
-    } catch (_) {}
+      recordPageUsage(req.apiKey, pages);
+      return sendZipBuffer(res, zipBuffer, filename);
+    }
 
+    const merged = await PDFDocument.create();
+    const outline = [];
+    for (const r of ok) {
+      const doc = await PDFDocument.load(r.pdfBuffer);
+      const pages = await merged.copyPages(doc, doc.getPageIndices());
+      outline.push({ title: r.title, pageIndex: merged.getPageCount() });
+      pages.forEach((page) => merged.addPage(page));
+    }
+    addPdfOutline(merged, outline);
+    const mergedBuffer = await postProcessPdf(
+      Buffer.from(await merged.save()),
+      documentOptions,
+      req.reqId
+    );
+    if (failed.length) {
+      let errorsJson = JSON.stringify(
+        failed.map((r) => ({ index: r.index, error: r.error }))
+      );
+      if (errorsJson.length > BATCH_ERRORS_HEADER_MAX) {
+        errorsJson = JSON.stringify(failed.map((r) => ({ index: r.index })));
+      }
+      // Header values must be plain ASCII
+      res.set(
+        "X-Batch-Errors",
+        errorsJson
+          .replace(/[^\x20-\x7e]/g, "?")
+          .slice(0, BATCH_ERRORS_HEADER_MAX)
+      );
+    }
+    const filename = safeFilename(
+      body.filename || (req.query && req.query.filename),
+      "documents.pdf"
+    );
+    log.info("batch_send_pdf", {
+      reqId: req.reqId,
+      bytes: mergedBuffer.length,
+      pages: merged.getPageCount(),
+      filename,
+    });
+    if (req.storeOutput) {
+      return await sendStoredOutput(
+        req,
+        res,
+        mergedBuffer,
+        "application/pdf",
+        filename,
+        merged.getPageCount()
+      );
+    }
+    recordPageUsage(req.apiKey, merged.getPageCount());
+    sendPdfBuffer(res, mergedBuffer, filename);
+  } catch (err) {
+    log.error("batch_error", {
+      reqId: req.reqId,
+      error: err?.message || String(err),
+    });
     if (!res.headersSent) {
-      log.error("isolated_error", {
-        reqId: req.reqId,
-        error: err?.message || String(err),
-      });
       res.status(500).json({
-        error: "Failed to generate PDF (isolated)",
+        error: "Failed to assemble batch output",
         details: err.message,
       });
     }
@@ -405,59 +6755,464 @@ app.post("/generate-pdf/isolated", async (req, res) => {
 });
 
 // --------------------------------------------------------------------------------------
-// Endpoint 2: Optimized mode - uses one persistent browser, a new page per request
+// PDF tools: merge uploaded PDFs with rendered HTML, and stamp text/image watermarks.
+// Parts are { "file": "<uploaded part or assets name>" }, { "base64": "<PDF>" }, or an
+// HTML/Markdown document as in a batch item (rendered on the pool).
 // --------------------------------------------------------------------------------------
-app.get("/generate-pdf/optimized", methodNotAllowedInfo);
-app.post("/generate-pdf/optimized", async (req, res) => {
-  const html = ensureHtmlInput(req, res);
-  if (html === null) return;
+const PDF_TOOLS_MAX_PARTS = Math.max(1, envInt("PDF_TOOLS_MAX_PARTS", 50));
+const WATERMARK_KEYS = [
+  "text",
+  "image",
+  "fontSize",
+  "color",
+  "opacity",
+  "rotation",
+  "scale",
+  "pages",
+];
 
-  let page = null;
+function toolError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = status === 422 ? "INVALID_PDF" : "INVALID_INPUT";
+  return err;
+}
+
+// Input that is well-formed but does not fit the document (known only once it is loaded)
+function validationError(message) {
+  const err = toolError(message);
+  err.code = "VALIDATION_FAILED";
+  return err;
+}
+
+// Resolve one part into PDF bytes (HTML parts are rendered)
+async function resolvePdfPart(part, index, body, reqId, signal = null) {
+  const label = `parts[${index}]`;
+  if (!part || typeof part !== "object" || Array.isArray(part)) {
+    throw toolError(`${label}: Expected an object`);
+  }
+  let buffer;
+  if (part.file !== undefined || part.base64 !== undefined) {
+    if (part.file !== undefined) {
+      const assets =
+        body.assets && typeof body.assets === "object" ? body.assets : {};
+      const entry = Object.hasOwn(assets, part.file) ? assets[part.file] : null;
+      const data = typeof entry === "string" ? entry : entry && entry.data;
+      if (typeof data !== "string") {
+        throw toolError(`${label}: No uploaded file named "${part.file}"`);
+      }
+      buffer = Buffer.from(data, "base64");
+    } else if (typeof part.base64 !== "string") {
+      throw toolError(`${label}: Expected base64 PDF data`);
+    } else {
+      buffer = Buffer.from(part.base64, "base64");
+    }
+    if (buffer.toString("ascii", 0, 5) !== "%PDF-") {
+      throw toolError(`${label}: Not a PDF file`, 422);
+    }
+    return buffer;
+  }
+  const prepared = prepareBatchItem(part, index, body);
+  if (prepared.error) throw toolError(`${label}: ${prepared.error}`);
+  return renderPdfWithPool(
+    prepared.source,
+    prepared.pdfOptions,
+    reqId,
+    RENDER_TIMEOUTS,
+    signal
+  );
+}
 
+async function loadPdfPart(buffer, label) {
   try {
-    log.info("optimized_get_browser", { reqId: req.reqId });
-    const browser = await launchPersistentBrowser();
-    const { pdfBuffer, page: createdPage } = await renderPdfFromHtml(
-      html,
-      browser,
-      req.reqId
+    return await PDFDocument.load(buffer);
+  } catch (err) {
+    throw toolError(`${label}: ${err.message}`, 422);
+  }
+}
+
+// "1-3, 8" -> zero-based page indices that exist in the document
+function pageIndicesFor(spec, pageCount) {
+  if (spec === undefined) return [...Array(pageCount).keys()];
+  const ranges = parsePageRanges(spec);
+  if (!ranges) throw validationError(`watermark.pages: ${PAGE_RANGES_MESSAGE}`);
+  const last = Math.max(...ranges.map(([, to]) => to));
+  if (last > pageCount) {
+    throw validationError(
+      `watermark.pages: Page ${last} is past the end of the document (${pageCount} pages)`
     );
-    page = createdPage;
+  }
+  const indices = new Set();
+  for (const [from, to] of ranges) {
+    for (let p = from; p <= to; p++) indices.add(p - 1);
+  }
+  return [...indices].sort((a, b) => a - b);
+}
 
-    // Close only the page after the response is sent; keep the browser alive
-    res.on("finish", async () => {
-      try {
-        if (page && !page.isClosed()) {
-          log.info("optimized_close_page_finish", { reqId: req.reqId });
-          await page.close({ runBeforeUnload: false });
-        }
-      } catch (_) {}
+// Returns { options, errors }; image watermarks carry their bytes as a Buffer
+function validateWatermark(raw, body) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field: "watermark", message: "Expected an object" });
+    return { options: null, errors };
+  }
+  for (const key of Object.keys(raw)) {
+    if (!WATERMARK_KEYS.includes(key)) {
+      errors.push({ field: `watermark.${key}`, message: "Unknown option" });
+    }
+  }
+  const options = { opacity: 0.3 };
+  if ((raw.text === undefined) === (raw.image === undefined)) {
+    errors.push({
+      field: "watermark",
+      message: 'Set exactly one of "text" or "image"',
+    });
+  } else if (raw.text !== undefined) {
+    if (typeof raw.text !== "string" || raw.text.trim() === "") {
+      errors.push({ field: "watermark.text", message: "Expected a string" });
+    } else {
+      options.text = raw.text;
+    }
+    options.rotation = 45;
+    options.color = [0.5, 0.5, 0.5];
+  } else {
+    // An uploaded part / assets name, or base64 image data
+    const assets =
+      body.assets && typeof body.assets === "object" ? body.assets : {};
+    const entry =
+      typeof raw.image === "string" && Object.hasOwn(assets, raw.image)
+        ? assets[raw.image]
+        : raw.image;
+    const data = typeof entry === "string" ? entry : entry && entry.data;
+    const bytes = typeof data === "string" ? Buffer.from(data, "base64") : null;
+    if (bytes && IMAGE_SIGNATURES.png(bytes)) {
+      options.image = { type: "png", bytes };
+    } else if (bytes && IMAGE_SIGNATURES.jpeg(bytes)) {
+      options.image = { type: "jpeg", bytes };
+    } else {
+      errors.push({
+        field: "watermark.image",
+        message: "Expected a PNG or JPEG (uploaded file name or base64)",
+      });
+    }
+    options.rotation = 0;
+    options.scale = 0.5;
+  }
+
+  if (raw.opacity !== undefined) {
+    const opacity = Number(raw.opacity);
+    if (raw.opacity === "" || !(opacity >= 0 && opacity <= 1)) {
+      errors.push({
+        field: "watermark.opacity",
+        message: "Expected a number between 0 and 1",
+      });
+    } else {
+      options.opacity = opacity;
+    }
+  }
+  if (raw.rotation !== undefined) {
+    const rotation = Number(raw.rotation);
+    if (raw.rotation === "" || !Number.isFinite(rotation)) {
+      errors.push({
+        field: "watermark.rotation",
+        message: "Expected degrees (counter-clockwise)",
+      });
+    } else {
+      options.rotation = rotation;
+    }
+  }
+  if (raw.fontSize !== undefined) {
+    const size = Number(raw.fontSize);
+    if (options.image || !(size >= 4 && size <= 500)) {
+      errors.push({
+        field: "watermark.fontSize",
+        message: "Expected a size between 4 and 500 (text watermarks)",
+      });
+    } else {
+      options.fontSize = size;
+    }
+  }
+  if (raw.color !== undefined) {
+    const hex = /^#?([0-9a-f]{6})$/i.exec(String(raw.color));
+    if (options.image || !hex) {
+      errors.push({
+        field: "watermark.color",
+        message: 'Expected a hex color such as "#cc0000" (text watermarks)',
+      });
+    } else {
+      const n = parseInt(hex[1], 16);
+      options.color = [n >> 16, (n >> 8) & 255, n & 255].map((c) => c / 255);
+    }
+  }
+  if (raw.scale !== undefined) {
+    const scale = Number(raw.scale);
+    if (!options.image || !(scale > 0 && scale <= 1)) {
+      errors.push({
+        field: "watermark.scale",
+        message:
+          "Expected a fraction of the page width between 0 and 1 (image watermarks)",
+      });
+    } else {
+      options.scale = scale;
+    }
+  }
+  if (raw.pages !== undefined) {
+    if (!parsePageRanges(raw.pages)) {
+      errors.push({ field: "watermark.pages", message: PAGE_RANGES_MESSAGE });
+    } else {
+      options.pages = raw.pages;
+    }
+  }
+  return { options, errors };
+}
+
+// Draw the watermark centred on each selected page, rotated about its centre
+async function applyWatermark(pdfDoc, options) {
+  const indices = pageIndicesFor(options.pages, pdfDoc.getPageCount());
+  const angle = (options.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // Bottom-left origin that puts a w x h box's centre at (cx, cy) after rotation
+  const originFor = (cx, cy, w, h) => ({
+    x: cx - (w / 2) * cos + (h / 2) * sin,
+    y: cy - (w / 2) * sin - (h / 2) * cos,
+  });
+
+  if (options.text !== undefined) {
+    const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const supported = new Set(font.getCharacterSet());
+    if ([...options.text].some((ch) => !supported.has(ch.codePointAt(0)))) {
+      throw toolError(
+        "watermark.text: Only Latin (WinAnsi) characters are supported"
+      );
+    }
+    const unitWidth = font.widthOfTextAtSize(options.text, 1);
+    for (const index of indices) {
+      const page = pdfDoc.getPage(index);
+      const { width, height } = page.getSize();
+      // Largest size whose rotated line still fits in 80% of the page
+      const fit = Math.min(
+        Math.abs(cos) > 1e-6 ? (0.8 * width) / Math.abs(cos) : Infinity,
+        Math.abs(sin) > 1e-6 ? (0.8 * height) / Math.abs(sin) : Infinity
+      );
+      const size =
+        options.fontSize ||
+        Math.min(fit / unitWidth, 0.25 * Math.min(width, height));
+      const textWidth = unitWidth * size;
+      const textHeight = font.heightAtSize(size, { descender: false });
+      page.drawText(options.text, {
+        ...originFor(width / 2, height / 2, textWidth, textHeight),
+        size,
+        font,
+        color: rgb(...options.color),
+        opacity: options.opacity,
+        rotate: degrees(options.rotation),
+      });
+    }
+    return indices.length;
+  }
+
+  const image =
+    options.image.type === "png"
+      ? await pdfDoc.embedPng(options.image.bytes)
+      : await pdfDoc.embedJpg(options.image.bytes);
+  for (const index of indices) {
+    const page = pdfDoc.getPage(index);
+    const { width, height } = page.getSize();
+    const w = width * options.scale;
+    const h = (image.height / image.width) * w;
+    page.drawImage(image, {
+      ...originFor(width / 2, height / 2, w, h),
+      width: w,
+      height: h,
+      opacity: options.opacity,
+      rotate: degrees(options.rotation),
+    });
+  }
+  return indices.length;
+}
+
+function sendToolError(req, res, event, err) {
+  if (err.cancelled) {
+    log.info("render_cancelled", { reqId: req.reqId, mode: "tool" });
+    return;
+  }
+  log.warn(event, {
+    reqId: req.reqId,
+    code: errorCodeFor(err),
+    error: err?.message || String(err),
+  });
+  if (res.headersSent) return;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  res.status(err.status || 500).json({
+    error: err.status && err.status < 500 ? "Invalid input" : "PDF tool failed",
+    code: errorCodeFor(err),
+    details: err.message,
+  });
+}
+
+app.get("/pdf/merge", methodNotAllowedInfo);
+app.post("/pdf/merge", async (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  let parts = body.parts;
+  // Multipart uploads without a "parts" field: every uploaded PDF, in upload order
+  if (parts === undefined && body.assets && typeof body.assets === "object") {
+    parts = Object.keys(body.assets)
+      .filter((name) => /\.pdf$/i.test(name))
+      .map((file) => ({ file }));
+  }
+  if (!Array.isArray(parts) || parts.length === 0) {
+    return res.status(400).json({
+      error: "Invalid merge",
+      details: {
+        message:
+          'Send JSON { "parts": [{ "file": "terms.pdf" } | { "base64": "..." } | { "html": "...", "title": "..." }] } (files as multipart parts or "assets").',
+      },
+    });
+  }
+  if (parts.length > PDF_TOOLS_MAX_PARTS) {
+    return res.status(400).json({
+      error: "Invalid merge",
+      details: { message: `At most ${PDF_TOOLS_MAX_PARTS} parts per merge` },
     });
+  }
+  const documentOptions = parseDocumentOptions(req, res);
+  if (documentOptions === null) return;
+  if (parseStoreOption(req, res) === null) return;
 
-    const filename = safeFilename(req.query && req.query.filename);
-    log.info("optimized_send_pdf", {
+  req.renderMode = "optimized";
+  log.info("pdf_merge_start", { reqId: req.reqId, parts: parts.length });
+  try {
+    const buffers = await mapWithConcurrency(
+      parts,
+      BATCH_CONCURRENCY,
+      (part, i) =>
+        resolvePdfPart(part, i, body, `${req.reqId}#${i + 1}`, req.abortSignal)
+    );
+    const merged = await PDFDocument.create();
+    const outline = [];
+    for (const [i, buffer] of buffers.entries()) {
+      const doc = await loadPdfPart(buffer, `parts[${i}]`);
+      const pages = await merged.copyPages(doc, doc.getPageIndices());
+      if (typeof parts[i].title === "string" && parts[i].title.trim()) {
+        outline.push({
+          title: parts[i].title.trim(),
+          pageIndex: merged.getPageCount(),
+        });
+      }
+      pages.forEach((page) => merged.addPage(page));
+    }
+    if (outline.length) addPdfOutline(merged, outline);
+    const pdfBuffer = await postProcessPdf(
+      Buffer.from(await merged.save()),
+      documentOptions,
+      req.reqId
+    );
+    const filename = safeFilename(
+      body.filename || (req.query && req.query.filename),
+      "merged.pdf"
+    );
+    log.info("pdf_merge_send", {
       reqId: req.reqId,
       bytes: pdfBuffer.length,
+      pages: merged.getPageCount(),
       filename,
     });
+    if (req.storeOutput) {
+      return await sendStoredOutput(
+        req,
+        res,
+        pdfBuffer,
+        "application/pdf",
+        filename,
+        merged.getPageCount()
+      );
+    }
+    recordPageUsage(req.apiKey, merged.getPageCount());
     sendPdfBuffer(res, pdfBuffer, filename);
   } catch (err) {
-    try {
-      if (page && !page.isClosed()) {
-        log.warn("optimized_error_close_page", { reqId: req.reqId });
-        await page.close({ runBeforeUnload: false });
-      }
-    } catch (_) {}
-    if (!res.headersSent) {
-      log.error("optimized_error", {
-        reqId: req.reqId,
-        error: err?.message || String(err),
-      });
-      res.status(500).json({
-        error: "Failed to generate PDF (optimized)",
-        details: err.message,
-      });
+    sendToolError(req, res, "pdf_merge_error", err);
+  }
+});
+
+app.get("/pdf/watermark", methodNotAllowedInfo);
+app.post("/pdf/watermark", async (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  let document = body.document;
+  // Multipart upload of a single PDF: that file is the document
+  if (
+    document === undefined &&
+    body.assets &&
+    typeof body.assets === "object"
+  ) {
+    const pdfs = Object.keys(body.assets).filter((name) =>
+      /\.pdf$/i.test(name)
+    );
+    if (pdfs.length === 1) document = { file: pdfs[0] };
+  }
+  const { options, errors } = validateWatermark(body.watermark, body);
+  if (document === undefined) {
+    errors.unshift({
+      field: "document",
+      message: 'Expected { "file" }, { "base64" } or { "html" }',
+    });
+  }
+  if (errors.length) {
+    return res.status(400).json({
+      error: "Invalid watermark",
+      details: {
+        message:
+          'Send JSON { "document": { "file" | "base64" | "html" }, "watermark": { "text": "DRAFT" } | { "image": "logo.png" } }.',
+        allowedKeys: WATERMARK_KEYS,
+        errors,
+      },
+    });
+  }
+  const documentOptions = parseDocumentOptions(req, res);
+  if (documentOptions === null) return;
+  if (parseStoreOption(req, res) === null) return;
+
+  req.renderMode = "optimized";
+  try {
+    const buffer = await resolvePdfPart(
+      document,
+      0,
+      body,
+      req.reqId,
+      req.abortSignal
+    );
+    const pdfDoc = await loadPdfPart(buffer, "document");
+    const stamped = await applyWatermark(pdfDoc, options);
+    const pdfBuffer = await postProcessPdf(
+      Buffer.from(await pdfDoc.save()),
+      documentOptions,
+      req.reqId
+    );
+    const filename = safeFilename(
+      body.filename || (req.query && req.query.filename),
+      "watermarked.pdf"
+    );
+    log.info("pdf_watermark_send", {
+      reqId: req.reqId,
+      bytes: pdfBuffer.length,
+      pages: pdfDoc.getPageCount(),
+      stamped,
+      filename,
+    });
+    if (req.storeOutput) {
+      return await sendStoredOutput(
+        req,
+        res,
+        pdfBuffer,
+        "application/pdf",
+        filename,
+        pdfDoc.getPageCount()
+      );
     }
+    recordPageUsage(req.apiKey, pdfDoc.getPageCount());
+    sendPdfBuffer(res, pdfBuffer, filename);
+  } catch (err) {
+    sendToolError(req, res, "pdf_watermark_error", err);
   }
 });
 
@@ -465,7 +7220,11 @@ app.post("/generate-pdf/optimized", async (req, res) => {
 // Server startup
 // --------------------------------------------------------------------------------------
 (async () => {
+  // Tests require this file for the app; only "node index.js" starts the server
+  if (require.main !== module) return;
   try {
+    loadStoredTemplates();
+    loadStoredFonts();
     // Start listening immediately to satisfy Render's port binding checks
     const server = app.listen(PORT, "0.0.0.0", () => {
       log.info("startup_listening", {
@@ -477,37 +7236,159 @@ app.post("/generate-pdf/optimized", async (req, res) => {
         endpoints: [
           { method: "POST", path: "/generate-pdf/isolated" },
           { method: "POST", path: "/generate-pdf/optimized" },
+          { method: "POST", path: "/generate-pdf/context" },
+          { method: "POST", path: "/generate-image/isolated" },
+          { method: "POST", path: "/generate-image/optimized" },
+          { method: "POST", path: "/generate-image/context" },
+          { method: "POST", path: "/jobs" },
+          { method: "GET", path: "/jobs/:id" },
+          { method: "GET", path: "/jobs/:id/result" },
+          { method: "POST", path: "/generate-pdf/batch" },
+          { method: "POST", path: "/generate-pdf/from-template/:name" },
+          { method: "POST", path: "/templates" },
+          { method: "POST", path: "/fonts" },
+          { method: "POST", path: "/pdf/merge" },
+          { method: "POST", path: "/pdf/watermark" },
+          { method: "GET", path: "/storage/*" },
+          { method: "GET", path: "/metrics" },
+          { method: "GET", path: "/health/live" },
+          { method: "GET", path: "/health/ready" },
         ],
       });
+      if (AUTH_ENABLED) {
+        log.info("startup_auth", { keys: apiKeys.size, public: PUBLIC_PATHS });
+      } else {
+        log.warn("startup_auth_disabled", {
+          hint: "Set API_KEYS or API_KEYS_FILE to require API keys",
+        });
+      }
+      log.info("startup_pool", {
+        browsers: POOL_BROWSERS,
+        pagesPerBrowser: POOL_PAGES_PER_BROWSER,
+        queueMax: POOL_QUEUE_MAX,
+        queueTimeoutMs: POOL_QUEUE_TIMEOUT_MS,
+      });
+      if (renderCache) {
+        log.info("startup_render_cache", {
+          store: renderCache.kind,
+          maxBytes: RENDER_CACHE_MAX_BYTES,
+          maxEntries: RENDER_CACHE_MAX_ENTRIES,
+          ttlMs: RENDER_CACHE_TTL_MS,
+        });
+      }
+      if (outputStorage) {
+        log.info("startup_storage", {
+          backend: outputStorage.kind,
+          dir: outputStorage.dir,
+          bucket: outputStorage.bucket,
+          prefix: STORAGE_PREFIX,
+          linkTtlMs: STORAGE_LINK_TTL_MS,
+        });
+        if (outputStorage.ephemeralSecret) {
+          log.warn("startup_storage_ephemeral_secret", {
+            message:
+              "STORAGE_SIGNING_SECRET is not set; download links stop working on restart",
+          });
+        }
+      }
       if (process.env.RENDER) {
         log.info("startup_render_env", {
           service: process.env.RENDER_SERVICE_NAME || "?",
           region: process.env.RENDER_REGION || "?",
         });
       }
+      // Pick up jobs left in a persistent store and start expiring old ones
+      resumeStoredJobs().catch((e) =>
+        log.error("startup_jobs_error", { error: e?.message || String(e) })
+      );
+      setInterval(() => {
+        sweepExpiredJobs().catch((e) =>
+          log.error("jobs_sweep_error", { error: e?.message || String(e) })
+        );
+      }, Math.max(1000, Math.min(JOB_TTL_MS, 60000))).unref();
+      if (outputStorage && outputStorage.sweep) {
+        setInterval(() => {
+          outputStorage
+            .sweep()
+            .then((removed) => {
+              if (removed) log.info("storage_expired", { removed });
+            })
+            .catch((e) =>
+              log.error("storage_sweep_error", {
+                error: e?.message || String(e),
+              })
+            );
+        }, Math.max(1000, Math.min(STORAGE_LINK_TTL_MS, 60000))).unref();
+      }
       // Launch the persistent browser after the port is bound
       (async () => {
         log.info("startup_launch_browser");
         try {
-          await launchPersistentBrowser();
+          await Promise.all(browserSlots.map(launchPersistentBrowser));
         } catch (e) {
           log.error("startup_browser_error", {
             error: e?.message || String(e),
           });
         }
+        startBrowserWatchdog();
       })();
     });
 
-    // Graceful shutdown
+    // Graceful shutdown: stop taking work, let in-flight renders finish (up to
+    // SHUTDOWN_DRAIN_TIMEOUT_MS), then close whatever browsers are left
+    const inFlight = () => ({
+      pooledPages: poolStats().activePages,
+      isolatedPages: isolatedPagesInFlight,
+      jobs: jobsRunning,
+    });
+    const idle = (counts) =>
+      !counts.pooledPages && !counts.isolatedPages && !counts.jobs;
     const shutdown = async (signal) => {
+      if (shuttingDown) {
+        log.warn("shutdown_signal_repeated", { signal });
+        return;
+      }
+      shuttingDown = true;
       log.warn("shutdown_signal", { signal });
+      stopBrowserWatchdog();
       server.close(() => log.info("shutdown_http_closed"));
+      if (typeof server.closeIdleConnections === "function") {
+        server.closeIdleConnections();
+      }
+      const rejected = rejectPageQueue(
+        "Server is shutting down",
+        503,
+        "SHUTTING_DOWN"
+      );
+      log.info("shutdown_draining", {
+        ...inFlight(),
+        queuedRejected: rejected,
+        queuedJobs: jobQueue.length,
+        timeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS,
+      });
+
+      const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT_MS;
+      while (!idle(inFlight()) && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 250));
+      }
+      const left = inFlight();
+      if (idle(left)) {
+        log.info("shutdown_drained", left);
+      } else {
+        log.warn("shutdown_drain_timeout", left);
+      }
+
       try {
-        if (persistentBrowser) {
-          log.info("shutdown_closing_browser");
-          await persistentBrowser.close();
-        }
+        log.info("shutdown_closing_browser", {
+          browsers: POOL_BROWSERS,
+          isolated: isolatedBrowsers.size,
+        });
+        await Promise.all([
+          closeBrowserPool(),
+          ...Array.from(isolatedBrowsers, (browser) => closeBrowser(browser)),
+        ]);
       } catch (_) {}
+      log.info("shutdown_complete", { signal });
       process.exit(0);
     };
     process.on("SIGINT", shutdown);
@@ -522,7 +7403,28 @@ app.post("/generate-pdf/optimized", async (req, res) => {
 })();
 
 // Fallback for unsupported methods on the generate-pdf routes
-app.all(["/generate-pdf/isolated", "/generate-pdf/optimized"], (req, res) => {
-  if (req.method !== "POST") return methodNotAllowedInfo(req, res);
-  res.status(404).json({ error: "Not Found" });
-});
+app.all(
+  [
+    "/generate-pdf/isolated",
+    "/generate-pdf/optimized",
+    "/generate-pdf/context",
+    "/generate-image/isolated",
+    "/generate-image/optimized",
+    "/generate-image/context",
+  ],
+  (req, res) => {
+    if (req.method !== "POST") return methodNotAllowedInfo(req, res);
+    res.status(404).json({ error: "Not Found" });
+  }
+);
+
+// Exposed for the tests in test/; requiring this file does not start the server
+module.exports = {
+  app,
+  controlPageRequests,
+  createFileJobStore,
+  createLocalStorage,
+  createS3Storage,
+  policyLookup,
+  renderCacheKey,
+};
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Must be set before the service module reads its configuration
+process.env.API_KEYS = JSON.stringify([
+  { id: "tenant", key: "tenant-key" },
+  { id: "ops", key: "admin-key", admin: true },
+]);
+const { errorFields, startServer } = require("./helpers");
+
+// Formats are sniffed from the first bytes; the rest is never parsed by the service
+const WOFF2 = Buffer.concat([Buffer.from("wOF2"), Buffer.alloc(60)]).toString(
+  "base64"
+);
+
+test("fonts can be uploaded, listed and deleted", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  const upload = () =>
+    call("/fonts", {
+      method: "POST",
+      body: { family: "Inter", weight: 700, base64: WOFF2 },
+    });
+  const created = await upload();
+  assert.equal(created.status, 201);
+  const font = await created.json();
+  assert.equal(font.id, "inter-700-normal");
+  assert.equal(font.format, "woff2");
+
+  assert.equal((await upload()).status, 409);
+  const list = await (await call("/fonts")).json();
+  assert.deepEqual(
+    list.fonts.map((f) => f.id),
+    ["inter-700-normal"]
+  );
+
+  const path = "/fonts/inter-700-normal";
+  assert.equal((await call(path, { method: "DELETE" })).status, 204);
+  assert.equal((await call(path, { method: "DELETE" })).status, 404);
+});
+
+test("uploads that are not fonts, or lack a family, answer 400", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  const res = await call("/fonts", {
+    method: "POST",
+    body: {
+      family: "",
+      style: "oblique",
+      base64: Buffer.from("not a font").toString("base64"),
+    },
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["file", "family", "style"]);
+});
+
+test("only admin keys upload or delete fonts", async (t) => {
+  const { call } = startServer(t, { key: "tenant-key" });
+  const upload = await call("/fonts", {
+    method: "POST",
+    body: { family: "Inter", base64: WOFF2 },
+  });
+  assert.equal(upload.status, 403);
+  assert.equal((await upload.json()).code, "FORBIDDEN");
+  const path = "/fonts/inter-400-normal";
+  assert.equal((await call(path, { method: "DELETE" })).status, 403);
+
+  assert.equal((await call("/fonts")).status, 200);
+  const missing = await call(path, { method: "DELETE", key: "admin-key" });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,11 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer } = require("./helpers");
+
+test("GET /health answers without a browser", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/health");
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).status, "ok");
+});
@@ -0,0 +1,33 @@
+// Shared setup for the HTTP tests: the app on an ephemeral port plus a small fetch wrapper.
+// Set any configuration env vars before calling startServer; index.js reads them once.
+
+// options.key is the API key sent by calls that do not name one.
+function startServer(t, { key: defaultKey } = {}) {
+  const { app } = require("..");
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // call(path, { method, key, body, headers }); objects are sent as JSON
+  const call = (
+    path,
+    { method = "GET", key = defaultKey, body, headers = {} } = {}
+  ) =>
+    fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        ...(key ? { "X-API-Key": key } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  return { base, call };
+}
+
+// Field names from a 400 response's details.errors
+async function errorFields(res) {
+  const body = await res.json();
+  return (body.details?.errors || []).map((e) => e.field);
+}
+
+module.exports = { errorFields, startServer };
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { errorFields, startServer } = require("./helpers");
+
+// Option errors are answered before any browser is launched
+async function imageErrors(call, image) {
+  const res = await call("/generate-image/isolated", {
+    method: "POST",
+    body: { html: "<h1>Hi</h1>", image },
+  });
+  assert.equal(res.status, 400);
+  return errorFields(res);
+}
+
+test("quality only applies to jpeg and webp, within 0-100", async (t) => {
+  const { call } = startServer(t);
+  assert.deepEqual(await imageErrors(call, { quality: 80 }), ["image.quality"]);
+  assert.deepEqual(await imageErrors(call, { format: "webp", quality: 101 }), [
+    "image.quality",
+  ]);
+});
+
+test("dimensions, scale, format and selector are checked", async (t) => {
+  const { call } = startServer(t);
+  assert.deepEqual(
+    await imageErrors(call, {
+      width: 0,
+      height: 1.5,
+      deviceScaleFactor: 5,
+      fullPage: true,
+      selector: "#chart",
+      format: "gif",
+      nope: 1,
+    }),
+    [
+      "image.nope",
+      "image.format",
+      "image.width",
+      "image.height",
+      "image.deviceScaleFactor",
+      "image.selector",
+    ]
+  );
+});
+
+test("raw HTML bodies take the image options from the query string", async (t) => {
+  const { base } = startServer(t);
+  const res = await fetch(`${base}/generate-image/isolated?format=bmp`, {
+    method: "POST",
+    headers: { "Content-Type": "text/html" },
+    body: "<h1>Hi</h1>",
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["image.format"]);
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Must be set before the service module reads its configuration: no browser can launch
+process.env.PUPPETEER_EXECUTABLE_PATH = "/nonexistent/chrome";
+const { createFileJobStore } = require("..");
+const { startServer } = require("./helpers");
+
+test("POST /jobs refuses callback URLs outside the URL policy", async (t) => {
+  const { call } = startServer(t);
+  for (const callbackUrl of ["http://127.0.0.1:9/hook", "file:///tmp/x", 42]) {
+    const res = await call("/jobs", {
+      method: "POST",
+      body: { html: "<h1>Report</h1>", callbackUrl },
+    });
+    assert.equal(res.status, 400, String(callbackUrl));
+    assert.equal((await res.json()).error, "Callback URL not allowed");
+  }
+});
+
+test("POST /jobs takes a callback URL only when PUBLIC_BASE_URL is set", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/jobs", {
+    method: "POST",
+    body: {
+      html: "<h1>Report</h1>",
+      callbackUrl: "https://93.184.216.34/hook",
+    },
+  });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, "INVALID_INPUT");
+  assert.equal(body.details.field, "callbackUrl");
+});
+
+test("unknown jobs answer 404", async (t) => {
+  const { call } = startServer(t);
+  for (const path of ["/jobs/nope", "/jobs/nope/result"]) {
+    const res = await call(path);
+    assert.equal(res.status, 404, path);
+    assert.equal((await res.json()).error, "Job not found");
+  }
+});
+
+async function waitForJob(call, id) {
+  for (;;) {
+    const job = await (await call(`/jobs/${id}`)).json();
+    if (job.status === "done" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test("jobs fail instead of requeueing while the browser cannot launch", async (t) => {
+  const { call } = startServer(t);
+  const submit = async () =>
+    (await call("/jobs", { method: "POST", body: { html: "<h1>Hi</h1>" } }))
+      .json()
+      .then((job) => waitForJob(call, job.id));
+
+  const first = await submit();
+  assert.equal(first.status, "failed");
+  assert.equal(first.errorCode, "BROWSER_LAUNCH_FAILED");
+  // Inside the launch backoff the pool answers BROWSER_UNAVAILABLE with a Retry-After
+  const second = await submit();
+  assert.equal(second.status, "failed");
+  assert.equal(second.errorCode, "BROWSER_UNAVAILABLE");
+  assert.equal(second.attempts, 1);
+});
+
+function jobWithCredentials(id) {
+  return {
+    id,
+    status: "queued",
+    input: {
+      source: {
+        url: "https://example.com/report",
+        network: {
+          mode: "default",
+          allow: ["https://example.com/*"],
+          deny: [],
+          headers: { Authorization: "Bearer secret-token" },
+          cookies: { session: "secret-cookie" },
+          assets: {},
+        },
+      },
+    },
+  };
+}
+
+test("the fs job store keeps headers and cookies off the disk", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileJobStore(dir);
+  const id = "6f1c2d9e-0000-4000-8000-000000000001";
+
+  await store.create(jobWithCredentials(id));
+  await store.update(id, { status: "running" });
+  const onDisk = fs.readFileSync(path.join(dir, `${id}.json`), "utf8");
+  assert.doesNotMatch(onDisk, /secret-token|secret-cookie/);
+
+  // The running process still renders with them
+  const job = await store.get(id);
+  assert.deepEqual(job.input.source.network.headers, {
+    Authorization: "Bearer secret-token",
+  });
+  assert.deepEqual(job.input.source.network.cookies, {
+    session: "secret-cookie",
+  });
+  assert.equal(job.status, "running");
+
+  // A fresh store (a restart) sees the job as redacted
+  const restarted = await createFileJobStore(dir).get(id);
+  assert.equal(restarted.input.source.network.redacted, true);
+  assert.deepEqual(restarted.input.source.network.headers, {});
+});
+
+test("the fs job store writes results through a temp file", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileJobStore(dir);
+  const id = "6f1c2d9e-0000-4000-8000-000000000002";
+
+  await store.saveResult(id, Buffer.from("%PDF-1.7"));
+  assert.deepEqual(fs.readdirSync(dir), [`${id}.pdf`]);
+  assert.equal((await store.readResult(id)).toString(), "%PDF-1.7");
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Must be set before the service module reads its configuration
+process.env.API_KEYS = "tenant:tenant-key";
+process.env.METRICS_TOKEN = "scrape-token";
+const { startServer } = require("./helpers");
+
+const scraper = { headers: { Authorization: "Bearer scrape-token" } };
+
+test("/metrics serves Prometheus text with per-route request counts", async (t) => {
+  const { call } = startServer(t, { key: "tenant-key" });
+  await (await call("/jobs/nope")).text();
+
+  const res = await call("/metrics", scraper);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+  const text = await res.text();
+  assert.match(text, /^# TYPE http_requests_total counter$/m);
+  // Route templates, never raw URLs
+  assert.match(
+    text,
+    /^http_requests_total\{route="\/jobs\/:id",[^}]*status="404"\} 1$/m
+  );
+  assert.doesNotMatch(text, /\/jobs\/nope/);
+});
+
+test("/metrics takes its own token, not an API key", async (t) => {
+  const { call } = startServer(t);
+  const scrape = (authorization) =>
+    call("/metrics", { headers: authorization ? { authorization } : {} });
+
+  assert.equal((await scrape()).status, 401);
+  assert.equal((await scrape("Bearer tenant-key")).status, 401);
+  const ok = await scrape("Bearer scrape-token");
+  assert.equal(ok.status, 200);
+  assert.match(await ok.text(), /^# HELP /m);
+});
+
+test("array routes are labelled with the path that matched", async (t) => {
+  const { call } = startServer(t);
+  await (await call("/health")).text();
+  await (await call("/health/live")).text();
+
+  const text = await (await call("/metrics", scraper)).text();
+  assert.match(text, /^http_requests_total\{route="\/health",/m);
+  assert.match(text, /^http_requests_total\{route="\/health\/live",/m);
+  assert.doesNotMatch(text, /route="[^"]*,[^"]*"/);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Must be set before the service module reads its configuration
+process.env.MULTIPART_TOTAL_LIMIT = "4kb";
+const { errorFields, startServer } = require("./helpers");
+
+function form(fields, files = {}) {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(fields)) data.append(name, value);
+  for (const [filename, content] of Object.entries(files)) {
+    data.append("asset", new Blob([content]), filename);
+  }
+  return data;
+}
+
+test("multipart fields are read like a JSON body", async (t) => {
+  const { base } = startServer(t);
+  const res = await fetch(`${base}/generate-pdf/isolated`, {
+    method: "POST",
+    body: form(
+      { pdf: JSON.stringify({ scale: 9 }) },
+      { "index.html": "<h1>Hi</h1>" }
+    ),
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["pdf.scale"]);
+});
+
+test("uploads over MULTIPART_TOTAL_LIMIT answer 413", async (t) => {
+  const { base } = startServer(t);
+  const res = await fetch(`${base}/generate-pdf/isolated`, {
+    method: "POST",
+    body: form(
+      {},
+      { "index.html": "<h1>Hi</h1>", "big.bin": "x".repeat(8192) }
+    ),
+  });
+  assert.equal(res.status, 413);
+});
+
+test("public paths never parse multipart bodies", async (t) => {
+  const { base } = startServer(t);
+  const res = await fetch(`${base}/health`, {
+    method: "POST",
+    body: form({}, { "big.bin": "x".repeat(8192) }),
+  });
+  assert.notEqual(res.status, 413);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { errorFields, startServer } = require("./helpers");
+
+// Option errors are answered before any browser is launched
+async function networkErrors(call, network, assets) {
+  const res = await call("/generate-pdf/isolated", {
+    method: "POST",
+    body: { html: "<h1>Hi</h1>", network, assets },
+  });
+  assert.equal(res.status, 400);
+  return errorFields(res);
+}
+
+test("headers and cookies need an allow list", async (t) => {
+  const { call } = startServer(t);
+  assert.deepEqual(
+    await networkErrors(call, { headers: { Authorization: "Bearer x" } }),
+    ["network.allow"]
+  );
+});
+
+test("reserved headers, header injection and bad cookies are rejected", async (t) => {
+  const { call } = startServer(t);
+  const fields = await networkErrors(call, {
+    allow: ["example.com"],
+    headers: { Host: "internal", Cookie: "a=b", "X-Ok": "line\r\nbreak" },
+    cookies: { "bad name": "v", ok: "a;b" },
+  });
+  assert.deepEqual(fields.sort(), [
+    "network.cookies.bad name",
+    "network.cookies.ok",
+    "network.headers.Cookie",
+    "network.headers.Host",
+    "network.headers.X-Ok",
+  ]);
+});
+
+test("unknown keys, modes and non-object network options are field errors", async (t) => {
+  const { call } = startServer(t);
+  assert.deepEqual(await networkErrors(call, { mode: "open", x: 1 }), [
+    "network.x",
+    "network.mode",
+  ]);
+  assert.deepEqual(await networkErrors(call, "some"), ["network"]);
+});
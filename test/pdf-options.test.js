@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { errorFields, startServer } = require("./helpers");
+
+// Option errors are answered before any browser is launched
+function postPdf(call, pdf) {
+  return call("/generate-pdf/isolated", {
+    method: "POST",
+    body: { html: "<h1>Hi</h1>", pdf },
+  });
+}
+
+test("invalid PDF options answer 400 naming each field", async (t) => {
+  const { call } = startServer(t);
+  const res = await postPdf(call, {
+    format: "B52",
+    landscape: "sideways",
+    scale: 5,
+    margin: { top: "lots" },
+    nope: true,
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual((await errorFields(res)).sort(), [
+    "pdf.format",
+    "pdf.landscape",
+    "pdf.margin.top",
+    "pdf.nope",
+    "pdf.scale",
+  ]);
+});
+
+test("a custom page size needs width and height, without format", async (t) => {
+  const { call } = startServer(t);
+  assert.deepEqual(await errorFields(await postPdf(call, { width: "8in" })), [
+    "pdf.height",
+  ]);
+  assert.deepEqual(
+    await errorFields(
+      await postPdf(call, { width: "8in", height: "10in", format: "A4" })
+    ),
+    ["pdf.format"]
+  );
+});
+
+test("raw HTML bodies take the options from the query string", async (t) => {
+  const { base } = startServer(t);
+  const res = await fetch(`${base}/generate-pdf/isolated?scale=0`, {
+    method: "POST",
+    headers: { "Content-Type": "text/html" },
+    body: "<h1>Hi</h1>",
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["pdf.scale"]);
+});
+
+test("pageRanges must start at page 1 and run low to high", async (t) => {
+  const { call } = startServer(t);
+  for (const pageRanges of ["0", "3-1", "1-2, 0"]) {
+    const res = await postPdf(call, { pageRanges });
+    assert.equal(res.status, 400, pageRanges);
+    assert.deepEqual(await errorFields(res), ["pdf.pageRanges"]);
+  }
+});
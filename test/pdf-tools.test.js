@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PDFDocument } = require("@cantoo/pdf-lib");
+
+const { errorFields, startServer } = require("./helpers");
+
+async function pdfBase64(pages) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage();
+  return Buffer.from(await doc.save()).toString("base64");
+}
+
+async function pageCount(res) {
+  const doc = await PDFDocument.load(Buffer.from(await res.arrayBuffer()));
+  return doc.getPageCount();
+}
+
+test("POST /pdf/merge joins uploaded PDFs in order", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/pdf/merge", {
+    method: "POST",
+    body: {
+      parts: [{ base64: await pdfBase64(2) }, { base64: await pdfBase64(3) }],
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(await pageCount(res), 5);
+});
+
+test("POST /pdf/merge needs at least one part", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/pdf/merge", { method: "POST", body: { parts: [] } });
+  assert.equal(res.status, 400);
+});
+
+test("POST /pdf/watermark stamps the document", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/pdf/watermark", {
+    method: "POST",
+    body: {
+      document: { base64: await pdfBase64(3) },
+      watermark: { text: "DRAFT", pages: "1, 3", opacity: 0.2 },
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(await pageCount(res), 3);
+});
+
+test("POST /pdf/watermark validates the watermark", async (t) => {
+  const { call } = startServer(t);
+  const res = await call("/pdf/watermark", {
+    method: "POST",
+    body: {
+      document: { base64: await pdfBase64(1) },
+      watermark: { text: "DRAFT", image: "logo.png", opacity: 2 },
+    },
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["watermark", "watermark.opacity"]);
+});
+
+test("POST /pdf/watermark checks pages against the document", async (t) => {
+  const { call } = startServer(t);
+  const post = async (pages) =>
+    call("/pdf/watermark", {
+      method: "POST",
+      body: {
+        document: { base64: await pdfBase64(3) },
+        watermark: { text: "DRAFT", pages },
+      },
+    });
+
+  for (const pages of ["0", "5-2"]) {
+    const res = await post(pages);
+    assert.equal(res.status, 400, pages);
+    assert.equal((await res.json()).code, "INVALID_INPUT");
+  }
+  const past = await post("2-4");
+  assert.equal(past.status, 400);
+  assert.equal((await past.json()).code, "VALIDATION_FAILED");
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Must be set before the service module reads its configuration
+process.env.RENDER_CACHE = "memory";
+process.env.PUPPETEER_EXECUTABLE_PATH = "/nonexistent/chrome";
+const { renderCacheKey } = require("..");
+const { startServer } = require("./helpers");
+
+const pdfOptions = { format: "A4" };
+
+function request(keyId) {
+  return { apiKey: keyId ? { id: keyId } : null };
+}
+
+test("equal inputs share a cache key; any difference changes it", () => {
+  const key = (parts, kind = "pdf") =>
+    renderCacheKey(request("a"), kind, parts);
+  const base = key({ source: { html: "<h1>Hi</h1>" }, pdfOptions });
+  assert.match(base, /^[0-9a-f]{64}$/);
+  assert.equal(key({ source: { html: "<h1>Hi</h1>" }, pdfOptions }), base);
+  assert.notEqual(key({ source: { html: "<h1>Bye</h1>" }, pdfOptions }), base);
+  assert.notEqual(
+    key({ source: { html: "<h1>Hi</h1>" }, pdfOptions: { format: "Letter" } }),
+    base
+  );
+  assert.notEqual(
+    key({ source: { html: "<h1>Hi</h1>" }, pdfOptions }, "image"),
+    base
+  );
+});
+
+test("cache keys are private to the API key", () => {
+  const parts = { source: { html: "<h1>Hi</h1>" }, pdfOptions };
+  assert.notEqual(
+    renderCacheKey(request("a"), "pdf", parts),
+    renderCacheKey(request("b"), "pdf", parts)
+  );
+});
+
+test("URL sources and debug requests are never cached", () => {
+  assert.equal(
+    renderCacheKey(request("a"), "pdf", {
+      source: { url: "https://example.com/report" },
+      pdfOptions,
+    }),
+    null
+  );
+  const debug = { ...request("a"), renderTrace: {} };
+  assert.equal(
+    renderCacheKey(debug, "pdf", { source: { html: "<h1>Hi</h1>" } }),
+    null
+  );
+});
+
+test("If-None-Match answers 304 only for output that is in the cache", async (t) => {
+  const { call } = startServer(t);
+  for (const tag of ["*", `"${"0".repeat(64)}"`]) {
+    // Nothing was rendered, so this falls through to a render (and the missing browser)
+    const res = await call("/generate-pdf/isolated", {
+      method: "POST",
+      body: { html: "<h1>Never rendered</h1>" },
+      headers: { "If-None-Match": tag },
+    });
+    assert.notEqual(res.status, 304, tag);
+    assert.equal(res.headers.get("x-cache"), "MISS");
+  }
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Must be set before the service module reads its configuration
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+process.env.TEMPLATES_DIR = dir;
+process.env.API_KEYS = JSON.stringify([
+  { id: "tenant", key: "tenant-key" },
+  { id: "ops", key: "admin-key", admin: true },
+]);
+const { errorFields, startServer } = require("./helpers");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("templates can be created, read, replaced and deleted", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  const created = await call("/templates", {
+    method: "POST",
+    body: { name: "invoice", source: "<h1>{{number}}</h1>" },
+  });
+  assert.equal(created.status, 201);
+
+  const duplicate = await call("/templates", {
+    method: "POST",
+    body: { name: "invoice", source: "<h1>again</h1>" },
+  });
+  assert.equal(duplicate.status, 409);
+
+  const replaced = await call("/templates/invoice", {
+    method: "PUT",
+    body: { source: "<h1>No. {{number}}</h1>" },
+  });
+  assert.equal(replaced.status, 200);
+  const read = await call("/templates/invoice");
+  assert.equal((await read.json()).source, "<h1>No. {{number}}</h1>");
+  const list = await (await call("/templates")).json();
+  assert.deepEqual(
+    list.templates.map((tpl) => tpl.name),
+    ["invoice"]
+  );
+
+  assert.equal(
+    (await call("/templates/invoice", { method: "DELETE" })).status,
+    204
+  );
+  assert.equal((await call("/templates/invoice")).status, 404);
+});
+
+test("bad names and Handlebars syntax errors answer 400", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  const badName = await call("/templates", {
+    method: "POST",
+    body: { name: "no spaces", source: "<p>x</p>" },
+  });
+  assert.equal(badName.status, 400);
+  assert.deepEqual(await errorFields(badName), ["name"]);
+
+  const badSyntax = await call("/templates/broken", {
+    method: "PUT",
+    body: { source: "<p>{{#if open}}</p>" },
+  });
+  assert.equal(badSyntax.status, 400);
+  assert.deepEqual(await errorFields(badSyntax), ["source"]);
+});
+
+test("rendering an unknown template answers 404", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  const res = await call("/generate-pdf/from-template/missing", {
+    method: "POST",
+    body: { data: {} },
+  });
+  assert.equal(res.status, 404);
+});
+
+test("only admin keys change templates; every key can read them", async (t) => {
+  const { call } = startServer(t, { key: "tenant-key" });
+  const source = "<h1>{{number}}</h1>";
+  const denied = await call("/templates", {
+    method: "POST",
+    body: { name: "invoice", source },
+  });
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).code, "FORBIDDEN");
+
+  const created = await call("/templates", {
+    method: "POST",
+    key: "admin-key",
+    body: { name: "invoice", source },
+  });
+  assert.equal(created.status, 201);
+
+  const overwrite = await call("/templates/invoice", {
+    method: "PUT",
+    body: { source: "<h1>replaced</h1>" },
+  });
+  assert.equal(overwrite.status, 403);
+  const path = "/templates/invoice";
+  assert.equal((await call(path, { method: "DELETE" })).status, 403);
+
+  const read = await call(path);
+  assert.equal(read.status, 200);
+  assert.equal((await read.json()).source, source);
+
+  const removed = await call(path, { method: "DELETE", key: "admin-key" });
+  assert.equal(removed.status, 204);
+});
+
+test("a template that cannot be written to TEMPLATES_DIR is not served", async (t) => {
+  const { call } = startServer(t, { key: "admin-key" });
+  // A directory where the .hbs file should go makes the write fail
+  fs.mkdirSync(path.join(dir, "blocked.hbs"));
+  const created = await call("/templates", {
+    method: "POST",
+    body: { name: "blocked", source: "<p>new</p>" },
+  });
+  assert.equal(created.status, 500);
+  assert.equal((await call("/templates/blocked")).status, 404);
+
+  const kept = await call("/templates", {
+    method: "POST",
+    body: { name: "kept", source: "<p>v1</p>" },
+  });
+  assert.equal(kept.status, 201);
+  fs.rmSync(path.join(dir, "kept.hbs"));
+  fs.mkdirSync(path.join(dir, "kept.hbs"));
+  const replaced = await call("/templates/kept", {
+    method: "PUT",
+    body: { source: "<p>v2</p>" },
+  });
+  assert.equal(replaced.status, 500);
+  assert.equal(
+    (await (await call("/templates/kept")).json()).source,
+    "<p>v1</p>"
+  );
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EventEmitter } = require("node:events");
+
+const { controlPageRequests, policyLookup } = require("..");
+const { errorFields, startServer } = require("./helpers");
+
+// Rejected URLs are answered before any browser is launched
+function postUrl(call, body) {
+  return call("/generate-pdf/isolated", { method: "POST", body });
+}
+
+test("private, loopback and metadata addresses are refused", async (t) => {
+  const { call } = startServer(t);
+  for (const url of [
+    "http://localhost:3000/",
+    "http://127.0.0.1/",
+    "http://10.1.2.3/",
+    "http://172.16.0.1/",
+    "http://192.168.1.1/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::1]/",
+    "http://[fd00::1]/",
+    "http://[::ffff:127.0.0.1]/",
+  ]) {
+    const res = await postUrl(call, { url });
+    assert.equal(res.status, 400, url);
+    assert.equal((await res.json()).error, "URL not allowed", url);
+  }
+});
+
+test("only http(s) URLs are accepted", async (t) => {
+  const { call } = startServer(t);
+  for (const url of ["file:///etc/passwd", "ftp://example.com/", "nope"]) {
+    const res = await postUrl(call, { url });
+    assert.equal(res.status, 400, url);
+    assert.equal((await res.json()).error, "URL not allowed", url);
+  }
+});
+
+test("url input validates its options", async (t) => {
+  const { call } = startServer(t);
+  const res = await postUrl(call, {
+    url: "https://example.com/",
+    html: "<h1>Hi</h1>",
+    waitUntil: "whenever",
+    timeout: -1,
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await errorFields(res), ["url", "waitUntil", "timeout"]);
+});
+
+test("policyLookup refuses hosts that resolve to private addresses", async () => {
+  for (const all of [false, true]) {
+    const err = await new Promise((resolve) =>
+      policyLookup("localhost", { all }, (e) => resolve(e))
+    );
+    assert.equal(err?.code, "URL_NOT_ALLOWED");
+  }
+});
+
+function fakePage() {
+  const page = new EventEmitter();
+  page.setRequestInterception = async () => {};
+  page.mainFrame = () => null;
+  return page;
+}
+
+test("a URL render that connected to a private address blocks further requests", async () => {
+  const page = fakePage();
+  const source = { url: "https://rebind.example/" };
+  const report = await controlPageRequests(page, source, "t");
+  page.emit("response", {
+    url: () => "https://rebind.example/",
+    remoteAddress: () => ({ ip: "127.0.0.1", port: 443 }),
+  });
+  assert.deepEqual(report.privateAddress, {
+    url: "https://rebind.example/",
+    ip: "127.0.0.1",
+  });
+
+  const aborted = await new Promise((resolve) => {
+    page.emit("request", {
+      url: () => "https://exfil.example/?data=secret",
+      isNavigationRequest: () => false,
+      frame: () => null,
+      abort: async () => resolve(true),
+      continue: async () => resolve(false),
+    });
+  });
+  assert.equal(aborted, true);
+});
+
+test("responses without a remote address (intercepted or cached) pass", async () => {
+  const page = fakePage();
+  const report = await controlPageRequests(
+    page,
+    { url: "https://a.example/" },
+    "t"
+  );
+  page.emit("response", {
+    url: () => "http://assets.local/logo.png",
+    remoteAddress: () => ({}),
+  });
+  assert.equal(report.privateAddress, null);
+});